@@ -1,42 +1,31 @@
-import React from "react";
+import React, { useEffect, useReducer } from "react";
 import { useState } from "react";
-import UserCard from "./components/UserCard";
+import UserDirectory from "./components/UserDirectory";
+import AnimatePresence from "./transition/AnimatePresence";
+import usersReducer from "./users/usersReducer";
+import { loadUsers, saveUsers } from "./users/storage";
 
 function App() {
   const [state, setState] = useState(true);
+  // Kept here so edits survive toggling the directory away and back.
+  const [users, dispatch] = useReducer(usersReducer, undefined, loadUsers);
+
+  useEffect(() => {
+    saveUsers(users);
+  }, [users]);
 
-  const info = [
-    {
-      name: "Deepak",
-      desc: "Hello Myself Deepak iam 20 year old adult",
-    },
-    {
-      name: "Ajay",
-      desc: "Hello Myself Ajay iam 20 year old adult",
-    },
-    {
-      name: "Rahul",
-      desc: "Hello Myself Rahul iam 20 year old adult",
-    },
-  ];
   return (
     <div className="layer">
-      <button
-        className="btn"
-        onClick={() => setState(!state)}
-        onKeyUp={() => setState(!state)}
-      >
+      <button className="btn" onClick={() => setState(!state)}>
         Toggle
       </button>
-      {state ? (
-        <div className="container">
-          {info.map((card) => {
-            return <UserCard name={card.name} desc={card.desc} />;
-          })}
-        </div>
-      ) : (
-        <h1>React Comps</h1>
-      )}
+      <AnimatePresence name="slide" mode="wait">
+        {state ? (
+          <UserDirectory key="directory" users={users} dispatch={dispatch} />
+        ) : (
+          <h1 key="heading">React Comps</h1>
+        )}
+      </AnimatePresence>
     </div>
   );
 }
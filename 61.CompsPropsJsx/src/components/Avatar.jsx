@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+
+const palette = [
+  "#6a5acd",
+  "#e67e22",
+  "#16a085",
+  "#c0392b",
+  "#2980b9",
+  "#8e44ad",
+];
+
+const initialsOf = (name) =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("");
+
+const colorOf = (name) =>
+  palette[
+    [...name].reduce((sum, char) => sum + char.charCodeAt(0), 0) %
+      palette.length
+  ];
+
+// Shows the photo when there is one and it loads; otherwise (no URL, broken
+// link, offline) falls back to the user's initials on a colour picked from
+// their name.
+function Avatar({ name, src, size = 200 }) {
+  const [failedSrc, setFailedSrc] = useState(null);
+
+  if (src && src !== failedSrc) {
+    return (
+      <img
+        className="avatar"
+        src={src}
+        alt={name}
+        width={size}
+        height={size}
+        onError={() => setFailedSrc(src)}
+      />
+    );
+  }
+
+  return (
+    <div
+      className="avatar avatar-initials"
+      role="img"
+      aria-label={name}
+      style={{
+        width: size,
+        height: size,
+        background: colorOf(name),
+        fontSize: size * 0.4,
+      }}
+    >
+      {initialsOf(name)}
+    </div>
+  );
+}
+
+export default Avatar;
@@ -0,0 +1,30 @@
+import React, { useState } from "react";
+
+function BulkActions({ count, onTag, onDelete, onClear }) {
+  const [tag, setTag] = useState("");
+
+  const handleTag = (e) => {
+    e.preventDefault();
+    onTag(tag);
+    setTag("");
+  };
+
+  return (
+    <div className="bulk-actions" role="region" aria-label="Bulk actions">
+      <span>{count} selected</span>
+      <form onSubmit={handleTag}>
+        <input
+          value={tag}
+          onChange={(e) => setTag(e.target.value)}
+          placeholder="Tag"
+          aria-label="Tag to add to selected users"
+        />
+        <button disabled={!tag.trim()}>Add tag</button>
+      </form>
+      <button onClick={onDelete}>Delete selected</button>
+      <button onClick={onClear}>Clear</button>
+    </div>
+  );
+}
+
+export default BulkActions;
@@ -0,0 +1,68 @@
+import React from "react";
+
+function DirectoryToolbar({
+  filters,
+  onChange,
+  tags,
+  view,
+  onViewChange,
+  onAdd,
+}) {
+  const toggleTag = (tag) =>
+    onChange({
+      ...filters,
+      tags: filters.tags.includes(tag)
+        ? filters.tags.filter((t) => t !== tag)
+        : [...filters.tags, tag],
+    });
+
+  return (
+    <div className="toolbar">
+      <div className="toolbar-row">
+        <input
+          type="search"
+          placeholder="Search users"
+          aria-label="Search users"
+          value={filters.query}
+          onChange={(e) => onChange({ ...filters, query: e.target.value })}
+        />
+        <select
+          aria-label="Sort"
+          value={filters.sort}
+          onChange={(e) => onChange({ ...filters, sort: e.target.value })}
+        >
+          <option value="default">Default order</option>
+          <option value="asc">Name A–Z</option>
+          <option value="desc">Name Z–A</option>
+        </select>
+        <div className="view-toggle" role="group" aria-label="View">
+          {["grid", "list"].map((mode) => (
+            <button
+              key={mode}
+              aria-pressed={view === mode}
+              onClick={() => onViewChange(mode)}
+            >
+              {mode === "grid" ? "Grid" : "List"}
+            </button>
+          ))}
+        </div>
+        <button className="add-btn" onClick={onAdd}>
+          Add user
+        </button>
+      </div>
+      <div className="tag-filter" role="group" aria-label="Filter by tag">
+        {tags.map((tag) => (
+          <button
+            key={tag}
+            aria-pressed={filters.tags.includes(tag)}
+            onClick={() => toggleTag(tag)}
+          >
+            {tag}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default DirectoryToolbar;
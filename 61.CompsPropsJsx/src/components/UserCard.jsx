@@ -1,16 +1,107 @@
 import React from "react";
+import Avatar from "./Avatar";
 import "./UserCard.css";
 
-function UserCard({ name, desc }) {
+const isControl = (target) => target.closest("a, button, input");
+
+function UserCard({
+  id,
+  name,
+  desc,
+  role,
+  avatar,
+  tags = [],
+  contact = {},
+  view = "grid",
+  onEdit,
+  onDelete,
+  selected = false,
+  onSelect,
+  dragHandle,
+  dragging = false,
+  dropPosition,
+}) {
+  const links = [
+    contact.email && { label: "Email", href: `mailto:${contact.email}` },
+    contact.phone && {
+      label: "Call",
+      href: `tel:${contact.phone.replace(/\s/g, "")}`,
+    },
+    contact.website && { label: "Website", href: contact.website },
+  ].filter(Boolean);
+
+  const className = [
+    "user-container",
+    `user-${view}`,
+    selected && "selected",
+    dragging && "dragging",
+    dropPosition && `drop-${dropPosition}`,
+  ]
+    .filter(Boolean)
+    .join(" ");
+
   return (
-    <div className="user-container">
-      <p id="user-name">{name}</p>
-      <img
-        id="user-img"
-        src="https://images.unsplash.com/photo-1741762764258-8f9348bdf186?w=500&auto=format&fit=crop&q=60&ixlib=rb-4.1.0&ixid=M3wxMjA3fDB8MHxleHBsb3JlLWZlZWR8NHx8fGVufDB8fHx8fA%3D%3D"
-        alt=""
-      />
-      <p id="user-desc">{desc}</p>
+    <div
+      className={className}
+      data-user-id={id}
+      onClick={(e) => onSelect && !isControl(e.target) && onSelect(e)}
+    >
+      {(onSelect || dragHandle) && (
+        <div className="user-controls">
+          {onSelect && (
+            <input
+              type="checkbox"
+              checked={selected}
+              aria-label={`Select ${name}`}
+              onChange={(e) =>
+                onSelect({ shiftKey: e.nativeEvent.shiftKey, toggle: true })
+              }
+            />
+          )}
+          {dragHandle && (
+            <button
+              className="drag-handle"
+              aria-label={`Reorder ${name}`}
+              {...dragHandle}
+            >
+              ⠿
+            </button>
+          )}
+        </div>
+      )}
+      <Avatar name={name} src={avatar} size={view === "list" ? 64 : 200} />
+      <div className="user-info">
+        <p className="user-name">{name}</p>
+        {role && <p className="user-role">{role}</p>}
+        <p className="user-desc">{desc}</p>
+        {tags.length > 0 && (
+          <ul className="user-tags">
+            {tags.map((tag) => (
+              <li key={tag}>{tag}</li>
+            ))}
+          </ul>
+        )}
+        {links.length > 0 && (
+          <div className="user-links">
+            {links.map((link) => (
+              <a
+                key={link.label}
+                href={link.href}
+                target={link.label === "Website" ? "_blank" : undefined}
+                rel="noreferrer"
+              >
+                {link.label}
+              </a>
+            ))}
+          </div>
+        )}
+      </div>
+      {(onEdit || onDelete) && (
+        <div className="user-actions">
+          {onEdit && <button onClick={onEdit}>Edit</button>}
+          {onDelete && <button onClick={onDelete}>Delete</button>}
+        </div>
+      )}
     </div>
   );
 }
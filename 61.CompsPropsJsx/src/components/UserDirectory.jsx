@@ -0,0 +1,118 @@
+import React, { useCallback, useMemo, useState } from "react";
+import UserCard from "./UserCard";
+import DirectoryToolbar from "./DirectoryToolbar";
+import UserFormModal from "./UserFormModal";
+import BulkActions from "./BulkActions";
+import AnimatePresence from "../transition/AnimatePresence";
+import { collectTags, filterUsers } from "../users/filterUsers";
+import useSelection from "../users/useSelection";
+import useDragReorder from "../users/useDragReorder";
+import "./UserDirectory.css";
+
+function UserDirectory({ users, dispatch }) {
+  const [filters, setFilters] = useState({
+    query: "",
+    tags: [],
+    sort: "default",
+  });
+  const [view, setView] = useState("grid");
+  // null: closed, "new": adding, otherwise the user being edited.
+  const [editing, setEditing] = useState(null);
+
+  const tags = useMemo(() => collectTags(users), [users]);
+  const visible = useMemo(() => filterUsers(users, filters), [users, filters]);
+
+  const visibleIds = visible.map((user) => user.id);
+  const { selected, select, clear } = useSelection(visibleIds);
+  // Manual order only makes sense when the list is not sorted by name.
+  const canReorder = filters.sort === "default";
+  const { drag, announcement, handleProps } = useDragReorder({
+    items: visible,
+    order: users.map((user) => user.id),
+    axis: view === "grid" ? "x" : "y",
+    dispatch,
+  });
+
+  const closeModal = useCallback(() => setEditing(null), []);
+
+  const handleSave = (user) => {
+    if (editing === "new") {
+      dispatch({ type: "add", user: { ...user, id: crypto.randomUUID() } });
+    } else {
+      dispatch({ type: "update", user });
+    }
+    setEditing(null);
+  };
+
+  const handleDelete = (user) => {
+    if (window.confirm(`Delete ${user.name}?`)) {
+      dispatch({ type: "remove", id: user.id });
+    }
+  };
+
+  const handleBulkDelete = () => {
+    if (window.confirm(`Delete ${selected.length} selected users?`)) {
+      dispatch({ type: "removeMany", ids: selected });
+      clear();
+    }
+  };
+
+  return (
+    <div className="directory">
+      <DirectoryToolbar
+        filters={filters}
+        onChange={setFilters}
+        tags={tags}
+        view={view}
+        onViewChange={setView}
+        onAdd={() => setEditing("new")}
+      />
+      {selected.length > 0 && (
+        <BulkActions
+          count={selected.length}
+          onTag={(tag) => dispatch({ type: "tagMany", ids: selected, tag })}
+          onDelete={handleBulkDelete}
+          onClear={clear}
+        />
+      )}
+      {!canReorder && (
+        <p className="hint">Switch to Default order to rearrange cards.</p>
+      )}
+      {visible.length === 0 && (
+        <p className="no-results">No users match your filters.</p>
+      )}
+      <div
+        className={view === "grid" ? "container" : "container container-list"}
+      >
+        <AnimatePresence name="pop" stagger={40}>
+          {visible.map((user) => (
+            <UserCard
+              key={user.id}
+              {...user}
+              view={view}
+              onEdit={() => setEditing(user)}
+              onDelete={() => handleDelete(user)}
+              selected={selected.includes(user.id)}
+              onSelect={(e) => select(user.id, e)}
+              dragHandle={canReorder ? handleProps(user.id) : null}
+              dragging={drag.activeId === user.id}
+              dropPosition={drag.overId === user.id ? drag.position : null}
+            />
+          ))}
+        </AnimatePresence>
+      </div>
+      <p className="sr-only" aria-live="assertive">
+        {announcement}
+      </p>
+      {editing && (
+        <UserFormModal
+          user={editing === "new" ? null : editing}
+          onSave={handleSave}
+          onClose={closeModal}
+        />
+      )}
+    </div>
+  );
+}
+
+export default UserDirectory;
@@ -0,0 +1,138 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./UserFormModal.css";
+
+const emptyUser = {
+  name: "",
+  role: "",
+  desc: "",
+  avatar: "",
+  tags: [],
+  contact: { email: "", phone: "", website: "" },
+};
+
+const toForm = (user) => ({
+  name: user.name,
+  role: user.role,
+  desc: user.desc,
+  avatar: user.avatar,
+  tags: user.tags.join(", "),
+  email: user.contact.email,
+  phone: user.contact.phone,
+  website: user.contact.website,
+});
+
+const fromForm = (form) => ({
+  name: form.name.trim(),
+  role: form.role.trim(),
+  desc: form.desc.trim(),
+  avatar: form.avatar.trim(),
+  tags: [
+    ...new Set(
+      form.tags
+        .split(",")
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean)
+    ),
+  ],
+  contact: {
+    email: form.email.trim(),
+    phone: form.phone.trim(),
+    website: form.website.trim(),
+  },
+});
+
+const validate = (form) => {
+  const errors = {};
+  if (!form.name.trim()) errors.name = "Name is required";
+  if (form.email && !/^\S+@\S+\.\S+$/.test(form.email)) {
+    errors.email = "Enter a valid email";
+  }
+  if (form.website && !/^https?:\/\//.test(form.website)) {
+    errors.website = "Website must start with http:// or https://";
+  }
+  return errors;
+};
+
+const fields = [
+  { name: "name", label: "Name" },
+  { name: "role", label: "Role" },
+  { name: "desc", label: "Description", multiline: true },
+  { name: "avatar", label: "Avatar URL", type: "url" },
+  { name: "tags", label: "Tags (comma separated)" },
+  { name: "email", label: "Email", type: "email" },
+  { name: "phone", label: "Phone", type: "tel" },
+  { name: "website", label: "Website", type: "url" },
+];
+
+// Add/edit form. `user` is null when adding.
+function UserFormModal({ user, onSave, onClose }) {
+  const [form, setForm] = useState(() => toForm(user ?? emptyUser));
+  const [errors, setErrors] = useState({});
+  const dialogRef = useRef(null);
+
+  useEffect(() => {
+    const previous = document.activeElement;
+    dialogRef.current.querySelector("input").focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      previous?.focus();
+    };
+  }, [onClose]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const nextErrors = validate(form);
+    setErrors(nextErrors);
+    if (Object.keys(nextErrors).length === 0) {
+      onSave(user ? { ...fromForm(form), id: user.id } : fromForm(form));
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div
+        ref={dialogRef}
+        className="modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="user-form-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 id="user-form-title">{user ? `Edit ${user.name}` : "Add user"}</h2>
+        <form onSubmit={handleSubmit} noValidate>
+          {fields.map(({ name, label, type = "text", multiline }) => {
+            const Control = multiline ? "textarea" : "input";
+            return (
+              <label key={name}>
+                {label}
+                <Control
+                  name={name}
+                  type={multiline ? undefined : type}
+                  value={form[name]}
+                  onChange={(e) => setForm({ ...form, [name]: e.target.value })}
+                  aria-invalid={Boolean(errors[name])}
+                />
+                {errors[name] && (
+                  <span className="field-error">{errors[name]}</span>
+                )}
+              </label>
+            );
+          })}
+          <div className="modal-actions">
+            <button type="button" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="submit">Save</button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+export default UserFormModal;
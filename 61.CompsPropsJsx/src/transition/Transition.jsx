@@ -0,0 +1,15 @@
+// This folder is a deliberate copy of 66.ConditionalRendering/src/transition:
+// the apps share no code, so apply every fix to both copies.
+import React from "react";
+import AnimatePresence from "./AnimatePresence";
+
+// Shows or hides a single child with an enter/exit animation.
+function Transition({ show, children, ...props }) {
+  return (
+    <AnimatePresence {...props}>
+      {show ? <React.Fragment key="content">{children}</React.Fragment> : null}
+    </AnimatePresence>
+  );
+}
+
+export default Transition;
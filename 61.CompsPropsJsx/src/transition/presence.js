@@ -0,0 +1,46 @@
+// Bookkeeping for AnimatePresence. An item is { key, element, status, delay }
+// where status is "enter" (animating in), "idle" or "exit" (animating out,
+// still mounted). Exiting items keep their place next to their old
+// neighbours.
+
+const toItem = (element, status, delay = 0) => ({
+  key: element.key,
+  element,
+  status,
+  delay,
+});
+
+const mergeItems = (prev, next, stagger) => {
+  const prevByKey = new Map(prev.map((item) => [item.key, item]));
+  const nextKeys = new Set(next.map((element) => element.key));
+
+  let entering = 0;
+  const result = next.map((element) => {
+    const current = prevByKey.get(element.key);
+    if (current && current.status !== "exit") {
+      return { ...current, element };
+    }
+    return toItem(element, "enter", stagger * entering++);
+  });
+
+  let exiting = 0;
+  prev.forEach((item, index) => {
+    if (nextKeys.has(item.key)) return;
+    const exitItem =
+      item.status === "exit"
+        ? item
+        : { ...item, status: "exit", delay: stagger * exiting++ };
+    // Slot it in after the closest earlier neighbour that is still shown.
+    let after = -1;
+    for (let i = index - 1; i >= 0 && after === -1; i--) {
+      after = result.findIndex((other) => other.key === prev[i].key);
+    }
+    result.splice(after + 1, 0, exitItem);
+  });
+
+  return result;
+};
+
+const hasExiting = (items) => items.some((item) => item.status === "exit");
+
+export { toItem, mergeItems, hasExiting };
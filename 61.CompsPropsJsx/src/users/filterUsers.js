@@ -0,0 +1,23 @@
+const matches = (user, query) => {
+  const text = [user.name, user.role, user.desc, ...user.tags]
+    .join(" ")
+    .toLowerCase();
+  return text.includes(query.trim().toLowerCase());
+};
+
+// Applies the toolbar's search, tag and sort settings. A user must carry
+// every selected tag to be shown. sort is "default", "asc" or "desc".
+const filterUsers = (users, { query, tags, sort }) => {
+  const result = users.filter(
+    (user) =>
+      matches(user, query) && tags.every((tag) => user.tags.includes(tag))
+  );
+  if (sort === "default") return result;
+  const direction = sort === "desc" ? -1 : 1;
+  return result.sort((a, b) => direction * a.name.localeCompare(b.name));
+};
+
+const collectTags = (users) =>
+  [...new Set(users.flatMap((user) => user.tags))].sort();
+
+export { filterUsers, collectTags };
@@ -0,0 +1,21 @@
+import initialUsers from "../data/users.json";
+
+const STORAGE_KEY = "user-directory";
+
+// The saved directory (including its manual order), or the bundled users on
+// first visit.
+const loadUsers = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(saved)) return saved;
+  } catch {
+    // Corrupt data falls back to the bundled users.
+  }
+  return initialUsers;
+};
+
+const saveUsers = (users) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(users));
+};
+
+export { loadUsers, saveUsers };
@@ -0,0 +1,156 @@
+import { useEffect, useState } from "react";
+
+const idle = { activeId: null, mode: null, overId: null, position: null };
+
+// Reordering for a list of cards, by pointer (drag the handle) or keyboard
+// (Space/Enter on the handle to pick up, arrows to move, Space/Enter to drop,
+// Escape to cancel). Cards must carry `data-user-id` and handles
+// `data-drag-handle`. Every step is described in `announcement` for a live
+// region.
+//
+// items:    the visible users, in display order
+// order:    ids of every user, used to undo a cancelled keyboard move
+// axis:     "x" for a grid, "y" for a list; decides which half of a card
+//           means "before"
+function useDragReorder({ items, order, axis, dispatch }) {
+  const [drag, setDrag] = useState(idle);
+  const [origin, setOrigin] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+
+  const indexOf = (id) => items.findIndex((item) => item.id === id);
+  const nameOf = (id) => items[indexOf(id)]?.name;
+  const where = (id) => `position ${indexOf(id) + 1} of ${items.length}`;
+
+  // Moving a card re-inserts its DOM node, which drops focus; put it back
+  // on the handle so the arrow keys keep working.
+  useEffect(() => {
+    if (drag.mode !== "keyboard") return;
+    document.querySelector(`[data-drag-handle="${drag.activeId}"]`)?.focus();
+  }, [drag, items]);
+
+  const pickUp = (id, mode) => {
+    setDrag({ ...idle, activeId: id, mode });
+    setOrigin(order);
+    if (mode === "keyboard") {
+      setAnnouncement(
+        `Picked up ${nameOf(id)}, ${where(id)}. Use the arrow keys to move, Space to drop, Escape to cancel.`
+      );
+    }
+  };
+
+  const drop = () => {
+    if (drag.mode === "pointer" && drag.overId) {
+      dispatch({
+        type: "move",
+        id: drag.activeId,
+        targetId: drag.overId,
+        position: drag.position,
+      });
+      setAnnouncement(
+        `${nameOf(drag.activeId)} moved ${drag.position} ${nameOf(drag.overId)}.`
+      );
+    } else if (drag.mode === "keyboard") {
+      setAnnouncement(
+        `${nameOf(drag.activeId)} dropped at ${where(drag.activeId)}.`
+      );
+    }
+    setDrag(idle);
+  };
+
+  const cancel = () => {
+    dispatch({ type: "setOrder", ids: origin });
+    setAnnouncement(
+      `Reorder cancelled. ${nameOf(drag.activeId)} returned to its original position.`
+    );
+    setDrag(idle);
+  };
+
+  const step = (id, delta) => {
+    const index = indexOf(id);
+    const target = items[index + delta];
+    if (!target) return;
+    dispatch({
+      type: "move",
+      id,
+      targetId: target.id,
+      position: delta > 0 ? "after" : "before",
+    });
+    setAnnouncement(
+      `${nameOf(id)} moved to position ${index + delta + 1} of ${items.length}.`
+    );
+  };
+
+  const handleProps = (id) => ({
+    "data-drag-handle": id,
+    "aria-roledescription": "drag handle",
+    "aria-pressed": drag.activeId === id,
+
+    onPointerDown: (e) => {
+      if (e.button !== 0 || drag.mode === "keyboard") return;
+      e.preventDefault();
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+      pickUp(id, "pointer");
+    },
+    onPointerMove: (e) => {
+      if (drag.mode !== "pointer") return;
+      const card = document
+        .elementFromPoint(e.clientX, e.clientY)
+        ?.closest("[data-user-id]");
+      const overId = card?.dataset.userId;
+      if (!overId || overId === id) {
+        if (drag.overId) setDrag({ ...drag, overId: null, position: null });
+        return;
+      }
+      const rect = card.getBoundingClientRect();
+      const before =
+        axis === "x"
+          ? e.clientX < rect.left + rect.width / 2
+          : e.clientY < rect.top + rect.height / 2;
+      const position = before ? "before" : "after";
+      if (overId !== drag.overId || position !== drag.position) {
+        setDrag({ ...drag, overId, position });
+      }
+    },
+    onPointerUp: () => drag.mode === "pointer" && drop(),
+    onPointerCancel: () => drag.mode === "pointer" && setDrag(idle),
+
+    onKeyDown: (e) => {
+      const key = e.key;
+      if (drag.mode !== "keyboard") {
+        if (key === " " || key === "Enter") {
+          e.preventDefault();
+          pickUp(id, "keyboard");
+        }
+        return;
+      }
+      if (key === " " || key === "Enter") {
+        e.preventDefault();
+        drop();
+      } else if (key === "Escape") {
+        e.preventDefault();
+        cancel();
+      } else if (key === "ArrowUp" || key === "ArrowLeft") {
+        e.preventDefault();
+        step(id, -1);
+      } else if (key === "ArrowDown" || key === "ArrowRight") {
+        e.preventDefault();
+        step(id, 1);
+      }
+    },
+    onBlur: () => {
+      // Focus leaving the handle for good (not the re-focus after a move)
+      // counts as a drop.
+      if (drag.mode === "keyboard") {
+        setTimeout(() => {
+          if (document.activeElement?.dataset?.dragHandle !== id) {
+            setDrag((current) => (current.activeId === id ? idle : current));
+          }
+        });
+      }
+    },
+  });
+
+  return { drag, announcement, handleProps };
+}
+
+export default useDragReorder;
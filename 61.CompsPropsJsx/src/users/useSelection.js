@@ -0,0 +1,43 @@
+import { useState } from "react";
+
+// Card selection with the usual modifiers: click selects one card, ctrl/cmd
+// click (or `toggle`) adds or removes one, shift click selects the range from
+// the last clicked card. Ids no longer in `orderedIds` drop out automatically.
+function useSelection(orderedIds) {
+  const [state, setState] = useState({ ids: [], anchor: null });
+
+  const selected = state.ids.filter((id) => orderedIds.includes(id));
+
+  const select = (id, { shiftKey, ctrlKey, metaKey, toggle } = {}) => {
+    const anchorIndex = orderedIds.indexOf(state.anchor);
+
+    if (shiftKey && anchorIndex !== -1) {
+      const index = orderedIds.indexOf(id);
+      const range = orderedIds.slice(
+        Math.min(anchorIndex, index),
+        Math.max(anchorIndex, index) + 1
+      );
+      const base = ctrlKey || metaKey ? selected : [];
+      setState({
+        ids: [...new Set([...base, ...range])],
+        anchor: state.anchor,
+      });
+    } else if (ctrlKey || metaKey || toggle) {
+      setState({
+        ids: selected.includes(id)
+          ? selected.filter((other) => other !== id)
+          : [...selected, id],
+        anchor: id,
+      });
+    } else {
+      const onlyThis = selected.length === 1 && selected[0] === id;
+      setState({ ids: onlyThis ? [] : [id], anchor: id });
+    }
+  };
+
+  const clear = () => setState({ ids: [], anchor: null });
+
+  return { selected, select, clear };
+}
+
+export default useSelection;
@@ -0,0 +1,48 @@
+// Directory state is a plain array of users in display ("default") order.
+// New users arrive with their id already set, so the reducer stays pure.
+
+function usersReducer(users, action) {
+  switch (action.type) {
+    case "add":
+      return [...users, action.user];
+    case "update":
+      return users.map((user) =>
+        user.id === action.user.id ? { ...user, ...action.user } : user
+      );
+    case "remove":
+      return users.filter((user) => user.id !== action.id);
+    case "removeMany":
+      return users.filter((user) => !action.ids.includes(user.id));
+    case "tagMany": {
+      const tag = action.tag.trim().toLowerCase();
+      if (!tag) return users;
+      return users.map((user) =>
+        action.ids.includes(user.id) && !user.tags.includes(tag)
+          ? { ...user, tags: [...user.tags, tag] }
+          : user
+      );
+    }
+    // Puts `id` just before or after `targetId`.
+    case "move": {
+      if (action.id === action.targetId) return users;
+      const moved = users.find((user) => user.id === action.id);
+      const rest = users.filter((user) => user.id !== action.id);
+      const target = rest.findIndex((user) => user.id === action.targetId);
+      if (!moved || target === -1) return users;
+      const index = action.position === "after" ? target + 1 : target;
+      return [...rest.slice(0, index), moved, ...rest.slice(index)];
+    }
+    // Restores a saved order of ids, e.g. when a keyboard move is cancelled.
+    case "setOrder": {
+      const rank = new Map(action.ids.map((id, i) => [id, i]));
+      const last = action.ids.length;
+      return [...users].sort(
+        (a, b) => (rank.get(a.id) ?? last) - (rank.get(b.id) ?? last)
+      );
+    }
+    default:
+      throw new Error(`Unknown users action: ${action.type}`);
+  }
+}
+
+export default usersReducer;
@@ -1,11 +1,11 @@
 import React from "react";
-import Card from "./components/Card";
+import CounterBoard from "./components/CounterBoard";
 import "./App.css";
 
 function App() {
   return (
     <div>
-      <Card />
+      <CounterBoard />
     </div>
   );
 }
@@ -1,13 +1,153 @@
 import React, { useState } from "react";
 
-function Card() {
-  const [count, setCount] = useState(0);
+const toBound = (value) => (value === "" ? null : Number(value));
+
+const toDraft = ({ step, min, max }) => ({
+  step: String(step),
+  min: min === null ? "" : String(min),
+  max: max === null ? "" : String(max),
+});
+
+// Edits are kept as a local draft and committed on blur, one history entry
+// per field. The draft is refreshed when undo/redo changes the saved values.
+function CardSettings({ counter, dispatch }) {
+  const { id, step, min, max } = counter;
+  const [draft, setDraft] = useState(() => toDraft(counter));
+  const [saved, setSaved] = useState(counter);
+
+  if (saved.step !== step || saved.min !== min || saved.max !== max) {
+    setSaved(counter);
+    setDraft(toDraft(counter));
+  }
+
+  const handleChange = (e) =>
+    setDraft({ ...draft, [e.target.name]: e.target.value });
+
+  // Invalid values (step below 1, min above max) snap back to the saved ones.
+  const commitStep = () => {
+    const next = Number(draft.step);
+    if (next > 0) dispatch({ type: "setStep", id, step: next });
+    else setDraft(toDraft(counter));
+  };
+
+  const commitBounds = () => {
+    const next = { min: toBound(draft.min), max: toBound(draft.max) };
+    if (next.min !== null && next.max !== null && next.min > next.max) {
+      setDraft(toDraft(counter));
+    } else {
+      dispatch({ type: "setBounds", id, ...next });
+    }
+  };
+
+  return (
+    <div className="card-settings">
+      <label>
+        Step
+        <input
+          name="step"
+          type="number"
+          min="1"
+          value={draft.step}
+          onChange={handleChange}
+          onBlur={commitStep}
+        />
+      </label>
+      <label>
+        Min
+        <input
+          name="min"
+          type="number"
+          value={draft.min}
+          onChange={handleChange}
+          onBlur={commitBounds}
+        />
+      </label>
+      <label>
+        Max
+        <input
+          name="max"
+          type="number"
+          value={draft.max}
+          onChange={handleChange}
+          onBlur={commitBounds}
+        />
+      </label>
+    </div>
+  );
+}
+
+function Card({ counter, dispatch }) {
+  const { id, name, count, step, min, max } = counter;
+  const [editing, setEditing] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+
+  const rename = (e) => {
+    dispatch({ type: "rename", id, name: e.target.value });
+    setEditing(false);
+  };
+
   return (
     <div className="card">
-      <h1>You have Clicked {count} times</h1>
-      <button onClick={() => setCount(count + 1)} className="btn">
-        Click
+      <div className="card-header">
+        {editing ? (
+          <input
+            className="name-input"
+            defaultValue={name}
+            autoFocus
+            aria-label="Counter name"
+            onBlur={rename}
+            onKeyDown={(e) => {
+              if (e.key === "Enter") e.currentTarget.blur();
+              if (e.key === "Escape") setEditing(false);
+            }}
+          />
+        ) : (
+          <h2
+            onDoubleClick={() => setEditing(true)}
+            title="Double-click to rename"
+          >
+            {name}
+          </h2>
+        )}
+        <button
+          className="icon-btn"
+          onClick={() => dispatch({ type: "remove", id })}
+          aria-label={`Remove ${name}`}
+        >
+          ×
+        </button>
+      </div>
+
+      <h1>{count}</h1>
+
+      <div className="card-actions">
+        <button
+          className="btn"
+          onClick={() => dispatch({ type: "decrement", id })}
+          disabled={min !== null && count <= min}
+        >
+          −{step}
+        </button>
+        <button className="btn" onClick={() => dispatch({ type: "reset", id })}>
+          Reset
+        </button>
+        <button
+          className="btn"
+          onClick={() => dispatch({ type: "increment", id })}
+          disabled={max !== null && count >= max}
+        >
+          +{step}
+        </button>
+      </div>
+
+      <button
+        className="link-btn"
+        onClick={() => setShowSettings(!showSettings)}
+      >
+        {showSettings ? "Hide settings" : "Settings"}
       </button>
+
+      {showSettings && <CardSettings counter={counter} dispatch={dispatch} />}
     </div>
   );
 }
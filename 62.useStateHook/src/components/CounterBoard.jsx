@@ -0,0 +1,70 @@
+import React, { useEffect, useState } from "react";
+import Card from "./Card";
+import useCounterBoard from "../counters/useCounterBoard";
+
+function CounterBoard() {
+  const { counters, canUndo, canRedo, dispatch } = useCounterBoard();
+  const [name, setName] = useState("");
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    dispatch({ type: "add", name, id: crypto.randomUUID() });
+    setName("");
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z, except while typing in an input.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      if (e.target.closest("input")) return;
+      e.preventDefault();
+      dispatch({ type: e.shiftKey ? "redo" : "undo" });
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [dispatch]);
+
+  return (
+    <div className="board">
+      <div className="toolbar">
+        <form onSubmit={handleAdd}>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="New counter name"
+            aria-label="New counter name"
+          />
+          <button className="btn" disabled={!name.trim()}>
+            Add
+          </button>
+        </form>
+        <button
+          className="btn"
+          onClick={() => dispatch({ type: "undo" })}
+          disabled={!canUndo}
+        >
+          Undo
+        </button>
+        <button
+          className="btn"
+          onClick={() => dispatch({ type: "redo" })}
+          disabled={!canRedo}
+        >
+          Redo
+        </button>
+      </div>
+
+      {counters.length === 0 ? (
+        <p className="empty">No counters yet. Add one above.</p>
+      ) : (
+        <div className="cards">
+          {counters.map((counter) => (
+            <Card key={counter.id} counter={counter} dispatch={dispatch} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CounterBoard;
@@ -0,0 +1,128 @@
+// Counter board state: { counters: [{ id, name, count, step, min, max }] }.
+// `min` and `max` are null when the counter is unbounded. Ids come in with
+// the "add" action so the reducer stays pure. Actions that would
+// not change anything return the same state, so they never reach the history.
+
+const clamp = (value, min, max) =>
+  Math.min(max ?? Infinity, Math.max(min ?? -Infinity, value));
+
+const createCounter = (name, id) => ({
+  id,
+  name,
+  count: 0,
+  step: 1,
+  min: null,
+  max: null,
+});
+
+const initialCounters = {
+  counters: [createCounter("Clicks", "clicks")],
+};
+
+const updateCounter = (state, id, update) => {
+  let changed = false;
+  const counters = state.counters.map((counter) => {
+    if (counter.id !== id) return counter;
+    const next = update(counter);
+    if (next === counter) return counter;
+    changed = Object.keys(next).some((key) => next[key] !== counter[key]);
+    return changed ? next : counter;
+  });
+  return changed ? { ...state, counters } : state;
+};
+
+function countersReducer(state, action) {
+  switch (action.type) {
+    case "add": {
+      const name = action.name.trim();
+      if (!name) return state;
+      return {
+        ...state,
+        counters: [...state.counters, createCounter(name, action.id)],
+      };
+    }
+    case "remove":
+      if (!state.counters.some((counter) => counter.id === action.id)) {
+        return state;
+      }
+      return {
+        ...state,
+        counters: state.counters.filter((counter) => counter.id !== action.id),
+      };
+    case "rename":
+      return updateCounter(state, action.id, (counter) =>
+        action.name.trim() ? { ...counter, name: action.name.trim() } : counter
+      );
+    case "increment":
+    case "decrement":
+      return updateCounter(state, action.id, (counter) => {
+        const delta =
+          action.type === "increment" ? counter.step : -counter.step;
+        return {
+          ...counter,
+          count: clamp(counter.count + delta, counter.min, counter.max),
+        };
+      });
+    case "reset":
+      return updateCounter(state, action.id, (counter) => ({
+        ...counter,
+        count: clamp(0, counter.min, counter.max),
+      }));
+    case "setStep":
+      return updateCounter(state, action.id, (counter) =>
+        action.step > 0 ? { ...counter, step: action.step } : counter
+      );
+    case "setBounds":
+      return updateCounter(state, action.id, (counter) => {
+        const { min, max } = action;
+        if (min !== null && max !== null && min > max) return counter;
+        return { ...counter, min, max, count: clamp(counter.count, min, max) };
+      });
+    default:
+      throw new Error(`Unknown counter action: ${action.type}`);
+  }
+}
+
+// Wraps a reducer with undo/redo. State becomes { past, present, future }.
+const HISTORY_LIMIT = 50;
+
+const withHistory = (reducer) => (state, action) => {
+  const { past, present, future } = state;
+
+  switch (action.type) {
+    case "undo":
+      if (past.length === 0) return state;
+      return {
+        past: past.slice(0, -1),
+        present: past[past.length - 1],
+        future: [present, ...future],
+      };
+    case "redo":
+      if (future.length === 0) return state;
+      return {
+        past: [...past, present],
+        present: future[0],
+        future: future.slice(1),
+      };
+    default: {
+      const next = reducer(present, action);
+      if (next === present) return state;
+      return {
+        past: [...past, present].slice(-HISTORY_LIMIT),
+        present: next,
+        future: [],
+      };
+    }
+  }
+};
+
+const createHistory = (present) => ({ past: [], present, future: [] });
+
+export {
+  countersReducer,
+  HISTORY_LIMIT,
+  withHistory,
+  createHistory,
+  createCounter,
+  initialCounters,
+};
@@ -0,0 +1,142 @@
+import { describe, expect, it } from "vitest";
+import {
+  HISTORY_LIMIT,
+  countersReducer,
+  createCounter,
+  createHistory,
+  withHistory,
+} from "./countersReducer";
+
+const board = (...counters) => ({ counters });
+const counter = (overrides) => ({ ...createCounter("A", "a"), ...overrides });
+
+describe("countersReducer", () => {
+  it("adds a counter with the id from the action", () => {
+    const state = countersReducer(board(), {
+      type: "add",
+      name: " B ",
+      id: "b",
+    });
+    expect(state.counters).toEqual([createCounter("B", "b")]);
+  });
+
+  it("increments and decrements by the counter's step", () => {
+    let state = board(counter({ step: 5 }));
+    state = countersReducer(state, { type: "increment", id: "a" });
+    expect(state.counters[0].count).toBe(5);
+    state = countersReducer(state, { type: "decrement", id: "a" });
+    state = countersReducer(state, { type: "decrement", id: "a" });
+    expect(state.counters[0].count).toBe(-5);
+  });
+
+  it("clamps increments at max and decrements at min", () => {
+    let state = board(counter({ count: 8, step: 5, min: 0, max: 10 }));
+    state = countersReducer(state, { type: "increment", id: "a" });
+    expect(state.counters[0].count).toBe(10);
+    state = countersReducer(state, { type: "decrement", id: "a" });
+    state = countersReducer(state, { type: "decrement", id: "a" });
+    state = countersReducer(state, { type: "decrement", id: "a" });
+    expect(state.counters[0].count).toBe(0);
+  });
+
+  it("clamps the current count when bounds are set", () => {
+    const state = countersReducer(board(counter({ count: 20 })), {
+      type: "setBounds",
+      id: "a",
+      min: 0,
+      max: 10,
+    });
+    expect(state.counters[0]).toMatchObject({ count: 10, min: 0, max: 10 });
+  });
+
+  it("rejects bounds with min above max", () => {
+    const state = board(counter());
+    expect(
+      countersReducer(state, { type: "setBounds", id: "a", min: 5, max: 1 })
+    ).toBe(state);
+  });
+
+  it.each([
+    [
+      "an increment at max",
+      counter({ count: 3, max: 3 }),
+      { type: "increment", id: "a" },
+    ],
+    [
+      "a decrement at min",
+      counter({ count: 0, min: 0 }),
+      { type: "decrement", id: "a" },
+    ],
+    ["a blank rename", counter(), { type: "rename", id: "a", name: "  " }],
+    [
+      "a rename to the same name",
+      counter(),
+      { type: "rename", id: "a", name: "A" },
+    ],
+    ["a step below 1", counter(), { type: "setStep", id: "a", step: 0 }],
+    ["an unknown id", counter(), { type: "increment", id: "missing" }],
+    ["removing an unknown id", counter(), { type: "remove", id: "missing" }],
+    ["adding a blank name", counter(), { type: "add", name: " ", id: "b" }],
+  ])("returns the same state for %s", (_, initial, action) => {
+    const state = board(initial);
+    expect(countersReducer(state, action)).toBe(state);
+  });
+
+  it("throws on unknown actions", () => {
+    expect(() => countersReducer(board(), { type: "explode" })).toThrow(
+      /explode/
+    );
+  });
+});
+
+describe("withHistory", () => {
+  const reducer = withHistory(countersReducer);
+  const increment = { type: "increment", id: "a" };
+  const start = () => createHistory(board(counter()));
+
+  it("records changes and clears the redo stack", () => {
+    let history = reducer(start(), increment);
+    history = reducer(history, { type: "undo" });
+    expect(history.future).toHaveLength(1);
+
+    history = reducer(history, increment);
+    expect(history.past).toHaveLength(1);
+    expect(history.future).toEqual([]);
+  });
+
+  it("keeps no-op actions out of the history", () => {
+    const history = createHistory(board(counter({ max: 0 })));
+    expect(reducer(history, increment)).toBe(history);
+  });
+
+  it("undoes and redoes", () => {
+    let history = reducer(start(), increment);
+    history = reducer(history, increment);
+    expect(history.present.counters[0].count).toBe(2);
+
+    history = reducer(history, { type: "undo" });
+    history = reducer(history, { type: "undo" });
+    expect(history.present.counters[0].count).toBe(0);
+
+    history = reducer(history, { type: "redo" });
+    expect(history.present.counters[0].count).toBe(1);
+    expect(history.past).toHaveLength(1);
+    expect(history.future).toHaveLength(1);
+  });
+
+  it("ignores undo and redo with nothing to step to", () => {
+    const history = start();
+    expect(reducer(history, { type: "undo" })).toBe(history);
+    expect(reducer(history, { type: "redo" })).toBe(history);
+  });
+
+  it(`keeps at most ${HISTORY_LIMIT} past states`, () => {
+    let history = start();
+    for (let i = 0; i < HISTORY_LIMIT + 10; i++) {
+      history = reducer(history, increment);
+    }
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    // The oldest entries are the ones dropped.
+    expect(history.past[0].counters[0].count).toBe(10);
+  });
+});
@@ -0,0 +1,40 @@
+import { useEffect, useReducer } from "react";
+import {
+  countersReducer,
+  createHistory,
+  initialCounters,
+  withHistory,
+} from "./countersReducer";
+
+const STORAGE_KEY = "counter-board";
+
+const reducer = withHistory(countersReducer);
+
+const load = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (saved?.present?.counters) return saved;
+  } catch {
+    // Corrupt data falls through to a fresh board.
+  }
+  return createHistory(initialCounters);
+};
+
+// Counter board state with undo/redo, saved to localStorage (history
+// included, so undo still works after a reload).
+function useCounterBoard() {
+  const [history, dispatch] = useReducer(reducer, undefined, load);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
+  }, [history]);
+
+  return {
+    counters: history.present.counters,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    dispatch,
+  };
+}
+
+export default useCounterBoard;
@@ -1,5 +1,6 @@
-import React, { useState } from "react";
+import React, { useEffect } from "react";
 import Card from "./components/Card";
+import useHistoryState from "./hooks/useHistoryState";
 import "./App.css";
 
 function App() {
@@ -7,13 +8,34 @@ function App() {
   // manage State
   // update State
 
-  const [name, setName] = useState("");
+  const [name, setName, { undo, redo, canUndo, canRedo }] = useHistoryState("");
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS) work from anywhere, including the
+  // inputs, whose native undo does not know about the shared history.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== "z") return;
+      e.preventDefault();
+      if (e.shiftKey) redo();
+      else undo();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
 
   return (
     <div className="wrapper">
       <Card title="Card1" name={name} setName={setName} />
       <Card title="Card2" name={name} setName={setName} />
       <p>I am inside Parent Comp and the value is = {name}</p>
+      <div className="history">
+        <button onClick={undo} disabled={!canUndo}>
+          Undo
+        </button>
+        <button onClick={redo} disabled={!canRedo}>
+          Redo
+        </button>
+      </div>
     </div>
   );
 }
@@ -4,7 +4,11 @@ function Card({ name, setName, title }) {
   return (
     <div className="card">
       <p>{title}</p>
-      <input type="text" onChange={(e) => setName(e.target.value)} />
+      <input
+        type="text"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
       <p>Changes Made : {name}</p>
     </div>
   );
@@ -0,0 +1,79 @@
+import { useCallback, useReducer } from "react";
+
+// Changes made within `coalesceMs` of the previous one are merged into the
+// same history entry, so undo reverts a burst of typing rather than a
+// single keystroke.
+const historyReducer = (state, action) => {
+  const { past, present, future, lastChange } = state;
+
+  switch (action.type) {
+    case "set": {
+      const value =
+        typeof action.value === "function"
+          ? action.value(present)
+          : action.value;
+      if (Object.is(value, present)) return state;
+      const coalesce =
+        past.length > 0 && action.time - lastChange < action.coalesceMs;
+      return {
+        past: coalesce ? past : [...past, present].slice(-action.limit),
+        present: value,
+        future: [],
+        lastChange: action.time,
+      };
+    }
+    case "undo":
+      if (past.length === 0) return state;
+      return {
+        past: past.slice(0, -1),
+        present: past[past.length - 1],
+        future: [present, ...future],
+        lastChange: 0,
+      };
+    case "redo":
+      if (future.length === 0) return state;
+      return {
+        past: [...past, present],
+        present: future[0],
+        future: future.slice(1),
+        lastChange: 0,
+      };
+    default:
+      return state;
+  }
+};
+
+// useState with undo/redo. Returns [value, setValue, { undo, redo, canUndo, canRedo }].
+function useHistoryState(initialValue, { coalesceMs = 500, limit = 100 } = {}) {
+  const [state, dispatch] = useReducer(
+    historyReducer,
+    initialValue,
+    (value) => ({
+      past: [],
+      present: value,
+      future: [],
+      lastChange: 0,
+    })
+  );
+
+  const setValue = useCallback(
+    (value) =>
+      dispatch({ type: "set", value, time: Date.now(), coalesceMs, limit }),
+    [coalesceMs, limit]
+  );
+  const undo = useCallback(() => dispatch({ type: "undo" }), []);
+  const redo = useCallback(() => dispatch({ type: "redo" }), []);
+
+  return [
+    state.present,
+    setValue,
+    {
+      undo,
+      redo,
+      canUndo: state.past.length > 0,
+      canRedo: state.future.length > 0,
+    },
+  ];
+}
+
+export default useHistoryState;
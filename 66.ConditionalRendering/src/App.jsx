@@ -1,19 +1,38 @@
-import React, { useState } from "react";
+import React from "react";
 import "./App.css";
 import Login from "./components/Login";
-import Logout from "./components/Logout";
+import Dashboard from "./components/Dashboard";
+import AuthProvider from "./auth/AuthProvider";
+import { useAuth } from "./auth/AuthContext";
+import AnimatePresence from "./transition/AnimatePresence";
+import ErrorBoundary from "./states/ErrorBoundary";
 
-function App() {
-  const [isLoggedIn, setLoggedIn] = useState(false);
+function Screen() {
+  const { user, token, expiresAt } = useAuth();
 
   return (
-    <div>
-      {isLoggedIn ? (
-        <Login setLoggedIn={setLoggedIn} />
+    <AnimatePresence name="fade" mode="wait">
+      {user ? (
+        <Dashboard
+          key="dashboard"
+          user={user}
+          token={token}
+          expiresAt={expiresAt}
+        />
       ) : (
-        <Logout setLoggedIn={setLoggedIn} />
+        <Login key="login" />
       )}
-    </div>
+    </AnimatePresence>
+  );
+}
+
+function App() {
+  return (
+    <AuthProvider>
+      <ErrorBoundary>
+        <Screen />
+      </ErrorBoundary>
+    </AuthProvider>
   );
 }
 
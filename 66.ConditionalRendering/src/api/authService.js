@@ -0,0 +1,74 @@
+// Stand-in for a real auth backend. Tokens are opaque strings that the
+// service remembers until they expire.
+
+const LATENCY = 500;
+const TOKEN_TTL = 5 * 60 * 1000;
+
+const accounts = [
+  { username: "admin", password: "admin123", name: "Deepak", role: "admin" },
+  { username: "viewer", password: "viewer123", name: "Ajay", role: "viewer" },
+];
+
+// Kept in localStorage so a session survives a page reload.
+const TOKENS_KEY = "auth-service:tokens";
+
+const readTokens = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TOKENS_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+};
+
+const writeTokens = (tokens) => {
+  localStorage.setItem(TOKENS_KEY, JSON.stringify(tokens));
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const createToken = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(24)), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+
+// Resolves with { token, expiresAt, user } or rejects with a message
+// suitable for showing to the user.
+const login = async ({ username, password }) => {
+  await wait(LATENCY);
+  const account = accounts.find(
+    (a) =>
+      a.username === username.trim().toLowerCase() && a.password === password
+  );
+  if (!account) throw new Error("Invalid username or password");
+
+  const token = createToken();
+  const expiresAt = Date.now() + TOKEN_TTL;
+  const user = {
+    username: account.username,
+    name: account.name,
+    role: account.role,
+  };
+
+  const now = Date.now();
+  const tokens = Object.fromEntries(
+    Object.entries(readTokens()).filter(([, entry]) => entry.expiresAt > now)
+  );
+  writeTokens({ ...tokens, [token]: { expiresAt, user } });
+
+  return { token, expiresAt, user };
+};
+
+// The session behind `token`, or null if it is unknown or expired.
+const verifyToken = (token) => {
+  const entry = readTokens()[token];
+  if (!entry || entry.expiresAt <= Date.now()) return null;
+  return { token, ...entry };
+};
+
+const logout = (token) => {
+  const tokens = readTokens();
+  delete tokens[token];
+  writeTokens(tokens);
+};
+
+export { login, logout, verifyToken };
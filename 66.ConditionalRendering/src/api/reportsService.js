@@ -0,0 +1,31 @@
+import { verifyToken } from "./authService";
+
+const LATENCY = 700;
+
+const reports = [
+  { id: 1, title: "Weekly sign-ups", audience: ["admin", "viewer"] },
+  { id: 2, title: "Course completion", audience: ["admin", "viewer"] },
+  { id: 3, title: "Failed logins", audience: ["admin"] },
+  { id: 4, title: "Revenue by month", audience: ["admin"] },
+];
+
+// Reports visible to the token's role. Rejects when the token has expired.
+const getReports = (token, { signal } = {}) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      const session = verifyToken(token);
+      if (!session) {
+        reject(new Error("Your session has expired"));
+        return;
+      }
+      resolve(
+        reports.filter((report) => report.audience.includes(session.user.role))
+      );
+    }, LATENCY);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+
+export { getReports };
@@ -0,0 +1,60 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { AuthContext } from "./AuthContext";
+import * as authService from "../api/authService";
+
+const STORAGE_KEY = "auth-token";
+
+const restoreSession = () => {
+  const token = localStorage.getItem(STORAGE_KEY);
+  return token ? authService.verifyToken(token) : null;
+};
+
+function AuthProvider({ children }) {
+  const [session, setSession] = useState(restoreSession);
+  // Why the last session ended, shown on the login form.
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (session) localStorage.setItem(STORAGE_KEY, session.token);
+    else localStorage.removeItem(STORAGE_KEY);
+  }, [session]);
+
+  // Auto-logout the moment the token expires.
+  useEffect(() => {
+    if (!session) return;
+    const id = setTimeout(() => {
+      authService.logout(session.token);
+      setSession(null);
+      setNotice("Your session has expired. Please log in again.");
+    }, session.expiresAt - Date.now());
+    return () => clearTimeout(id);
+  }, [session]);
+
+  const login = useCallback(async (credentials) => {
+    const next = await authService.login(credentials);
+    setNotice(null);
+    setSession(next);
+  }, []);
+
+  const logout = useCallback(() => {
+    if (session) authService.logout(session.token);
+    setSession(null);
+    setNotice(null);
+  }, [session]);
+
+  const value = useMemo(
+    () => ({
+      user: session?.user ?? null,
+      token: session?.token ?? null,
+      expiresAt: session?.expiresAt ?? null,
+      notice,
+      login,
+      logout,
+    }),
+    [session, notice, login, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export default AuthProvider;
@@ -0,0 +1,13 @@
+import { useAuth } from "./AuthContext";
+
+// Renders children only for users with one of the given roles:
+// <Can role="admin">...</Can> or <Can role={["admin", "viewer"]}>...</Can>
+// Pass `user` to check a specific user instead of the signed-in one.
+function Can({ role, user: userProp, fallback = null, children }) {
+  const auth = useAuth();
+  const user = userProp ?? auth.user;
+  const roles = Array.isArray(role) ? role : [role];
+  return user && roles.includes(user.role) ? children : fallback;
+}
+
+export default Can;
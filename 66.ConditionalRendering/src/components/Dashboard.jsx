@@ -0,0 +1,43 @@
+import React from "react";
+import Can from "../auth/Can";
+import Logout from "./Logout";
+import SessionTimer from "./SessionTimer";
+import ReportsPanel from "./ReportsPanel";
+
+// Takes the session as props rather than from useAuth so it can keep
+// rendering while it animates out after logout; the role checks get the
+// same user for that reason.
+function Dashboard({ user, token, expiresAt }) {
+  return (
+    <div className="dashboard">
+      <h2>Welcome, {user.name}</h2>
+      <p>
+        Signed in as <strong>{user.username}</strong>{" "}
+        <span className={`role role-${user.role}`}>{user.role}</span>
+      </p>
+      <SessionTimer expiresAt={expiresAt} />
+
+      <Can user={user} role={["admin", "viewer"]}>
+        <section>
+          <h3>Reports</h3>
+          <ReportsPanel token={token} />
+        </section>
+      </Can>
+
+      <Can
+        user={user}
+        role="admin"
+        fallback={<p className="hint">Admin tools are hidden for viewers.</p>}
+      >
+        <section>
+          <h3>Admin tools</h3>
+          <p>Manage users, roles and settings.</p>
+        </section>
+      </Can>
+
+      <Logout />
+    </div>
+  );
+}
+
+export default Dashboard;
@@ -1,10 +1,87 @@
-import React from "react";
+import React, { useState } from "react";
+import { useAuth } from "../auth/AuthContext";
+import { Match, Switch } from "../states/Switch";
+
+const validate = ({ username, password }) => {
+  const errors = {};
+  if (!username.trim()) errors.username = "Username is required";
+  if (!password) errors.password = "Password is required";
+  else if (password.length < 6)
+    errors.password = "Password must be at least 6 characters";
+  return errors;
+};
+
+function Login() {
+  const { login, notice } = useAuth();
+  const [values, setValues] = useState({ username: "", password: "" });
+  const [errors, setErrors] = useState({});
+  const [serverError, setServerError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleChange = (e) =>
+    setValues({ ...values, [e.target.name]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const nextErrors = validate(values);
+    setErrors(nextErrors);
+    setServerError(null);
+    if (Object.keys(nextErrors).length > 0) return;
+
+    setSubmitting(true);
+    try {
+      await login(values);
+    } catch (error) {
+      setServerError(error.message);
+      setSubmitting(false);
+    }
+  };
 
-function Login({ setLoggedIn }) {
   return (
-    <div>
-      <button onClick={() => setLoggedIn(false)}>Log In</button>
-    </div>
+    <form className="login-form" onSubmit={handleSubmit} noValidate>
+      <h2>Log In</h2>
+      <Switch>
+        <Match when={serverError}>
+          <p className="form-error" role="alert">
+            {serverError}
+          </p>
+        </Match>
+        <Match when={notice}>
+          <p className="notice">{notice}</p>
+        </Match>
+      </Switch>
+      <label>
+        Username
+        <input
+          name="username"
+          autoComplete="username"
+          value={values.username}
+          onChange={handleChange}
+          aria-invalid={Boolean(errors.username)}
+        />
+        {errors.username && (
+          <span className="field-error">{errors.username}</span>
+        )}
+      </label>
+      <label>
+        Password
+        <input
+          name="password"
+          type="password"
+          autoComplete="current-password"
+          value={values.password}
+          onChange={handleChange}
+          aria-invalid={Boolean(errors.password)}
+        />
+        {errors.password && (
+          <span className="field-error">{errors.password}</span>
+        )}
+      </label>
+      <button type="submit" disabled={submitting}>
+        {submitting ? "Logging in ..." : "Log In"}
+      </button>
+      <p className="hint">Try admin / admin123 or viewer / viewer123</p>
+    </form>
   );
 }
 
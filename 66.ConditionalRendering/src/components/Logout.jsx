@@ -1,9 +1,12 @@
 import React from "react";
+import { useAuth } from "../auth/AuthContext";
+
+function Logout() {
+  const { logout } = useAuth();
 
-function Logout({ setLoggedIn }) {
   return (
     <div>
-      <button onClick={() => setLoggedIn(true)}>Log Out</button>
+      <button onClick={logout}>Log Out</button>
     </div>
   );
 }
@@ -0,0 +1,52 @@
+import React, { useEffect, useState } from "react";
+import { getReports } from "../api/reportsService";
+import Async from "../states/Async";
+import Skeleton from "../states/Skeleton";
+import EmptyState from "../states/EmptyState";
+
+function ReportsPanel({ token }) {
+  const [attempt, setAttempt] = useState(0);
+  const [state, setState] = useState({
+    data: null,
+    error: null,
+    isLoading: true,
+  });
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setState((s) => ({ ...s, error: null, isLoading: true }));
+    getReports(token, { signal: controller.signal }).then(
+      (data) => setState({ data, error: null, isLoading: false }),
+      (error) => {
+        if (!controller.signal.aborted) {
+          setState({ data: null, error, isLoading: false });
+        }
+      }
+    );
+    return () => controller.abort();
+  }, [token, attempt]);
+
+  return (
+    <Async
+      {...state}
+      onRetry={() => setAttempt(attempt + 1)}
+      loading={<Skeleton count={2} height={14} />}
+      empty={
+        <EmptyState
+          title="No reports yet"
+          description="Reports shared with you will show up here."
+        />
+      }
+    >
+      {(reports) => (
+        <ul className="reports">
+          {reports.map((report) => (
+            <li key={report.id}>{report.title}</li>
+          ))}
+        </ul>
+      )}
+    </Async>
+  );
+}
+
+export default ReportsPanel;
@@ -0,0 +1,23 @@
+import React, { useEffect, useState } from "react";
+
+const format = (ms) => {
+  const seconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+function SessionTimer({ expiresAt }) {
+  const [now, setNow] = useState(Date.now);
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  return (
+    <p className="session-timer">
+      Session expires in {format(expiresAt - now)}
+    </p>
+  );
+}
+
+export default SessionTimer;
@@ -0,0 +1,17 @@
+import React from "react";
+import "./states.css";
+
+function EmptyState({ icon = "∅", title, description, action }) {
+  return (
+    <div className="empty-state">
+      <span className="empty-state-icon" aria-hidden="true">
+        {icon}
+      </span>
+      <p className="empty-state-title">{title}</p>
+      {description && <p>{description}</p>}
+      {action}
+    </div>
+  );
+}
+
+export default EmptyState;
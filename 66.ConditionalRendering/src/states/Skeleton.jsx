@@ -0,0 +1,31 @@
+import React from "react";
+import "./states.css";
+
+// Grey shimmering placeholders shaped roughly like the content on its way.
+function Skeleton({
+  count = 1,
+  width = "100%",
+  height = 16,
+  circle = false,
+  gap = 8,
+}) {
+  return (
+    <div
+      className="skeleton-group"
+      style={{ gap }}
+      role="status"
+      aria-busy="true"
+      aria-label="Loading"
+    >
+      {Array.from({ length: count }, (_, i) => (
+        <span
+          key={i}
+          className={circle ? "skeleton skeleton-circle" : "skeleton"}
+          style={{ width: circle ? height : width, height }}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default Skeleton;
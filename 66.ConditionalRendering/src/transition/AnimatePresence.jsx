@@ -0,0 +1,151 @@
+import React, {
+  Children,
+  isValidElement,
+  useEffect,
+  useRef,
+  useState,
+} from "react";
+import { hasExiting, mergeItems, toItem } from "./presence";
+import useReducedMotion from "./useReducedMotion";
+import "./transition.css";
+
+// Wraps one child and plays `${name}-enter` / `${name}-exit` CSS animations.
+// Exit completion is reported on animationend, or after `timeout` in case
+// the animation never runs (reduced motion, missing CSS).
+function PresenceItem({
+  as,
+  name,
+  status,
+  delay,
+  timeout,
+  reduced,
+  onEntered,
+  onExited,
+  children,
+}) {
+  // The callbacks are recreated on every parent render; keep the fallback
+  // timer from restarting each time.
+  const callbacks = useRef({ onEntered, onExited });
+
+  useEffect(() => {
+    callbacks.current = { onEntered, onExited };
+  });
+
+  useEffect(() => {
+    if (status === "idle") return;
+    const id = setTimeout(
+      () =>
+        status === "exit"
+          ? callbacks.current.onExited()
+          : callbacks.current.onEntered(),
+      reduced ? 0 : timeout + delay
+    );
+    return () => clearTimeout(id);
+  }, [status, delay, timeout, reduced]);
+
+  const animating = !reduced && status !== "idle";
+  const Tag = as;
+
+  return (
+    <Tag
+      className={animating ? `${name}-${status}` : undefined}
+      style={animating && delay ? { animationDelay: `${delay}ms` } : undefined}
+      onAnimationEnd={(e) => {
+        if (e.target !== e.currentTarget) return;
+        if (status === "exit") onExited();
+        else if (status === "enter") onEntered();
+      }}
+    >
+      {children}
+    </Tag>
+  );
+}
+
+// Animates keyed children in and out. Removed children stay mounted until
+// their exit animation has finished.
+//
+// name     animation preset from transition.css ("fade", "pop", "slide")
+// stagger  ms between consecutive items entering or leaving together
+// mode     "sync" runs exits and enters together; "wait" holds new children
+//          back until the old ones have left (for swapping one view for another)
+// initial  animate the children present on first render
+// as       wrapper element for each child
+function AnimatePresence({
+  children,
+  name = "fade",
+  stagger = 0,
+  mode = "sync",
+  initial = true,
+  timeout = 400,
+  as = "div",
+}) {
+  const reduced = useReducedMotion();
+  const elements = Children.toArray(children).filter(isValidElement);
+
+  const [state, setState] = useState(() => ({
+    children,
+    items: elements.map((element, i) =>
+      toItem(element, initial ? "enter" : "idle", initial ? stagger * i : 0)
+    ),
+    pending: null,
+  }));
+
+  // Reconcile during render so exiting children never disappear for a frame.
+  if (state.children !== children) {
+    let items = mergeItems(state.items, elements, stagger);
+    let pending = null;
+    if (mode === "wait" && hasExiting(items)) {
+      pending = elements;
+      items = items.filter(
+        (item) =>
+          item.status !== "enter" ||
+          state.items.some((old) => old.key === item.key)
+      );
+    }
+    setState({ children, items, pending });
+  }
+
+  const finishEnter = (key) =>
+    setState((s) => ({
+      ...s,
+      items: s.items.map((item) =>
+        item.key === key && item.status === "enter"
+          ? { ...item, status: "idle", delay: 0 }
+          : item
+      ),
+    }));
+
+  const finishExit = (key) =>
+    setState((s) => {
+      const items = s.items.filter(
+        (item) => !(item.key === key && item.status === "exit")
+      );
+      if (items.length === s.items.length) return s;
+      if (s.pending && !hasExiting(items)) {
+        return {
+          ...s,
+          items: mergeItems(items, s.pending, stagger),
+          pending: null,
+        };
+      }
+      return { ...s, items };
+    });
+
+  return state.items.map((item) => (
+    <PresenceItem
+      key={item.key}
+      as={as}
+      name={name}
+      status={item.status}
+      delay={item.delay}
+      timeout={timeout}
+      reduced={reduced}
+      onEntered={() => finishEnter(item.key)}
+      onExited={() => finishExit(item.key)}
+    >
+      {item.element}
+    </PresenceItem>
+  ));
+}
+
+export default AnimatePresence;
@@ -0,0 +1,53 @@
+import { createPosts } from "./posts.js";
+
+// Serves a tiny offline REST API under /api for `vite` and `vite preview`:
+//   GET /api/posts                      all posts
+//   GET /api/posts?_page=2&_limit=50    one page, total in X-Total-Count
+//   GET /api/posts/:id                  one post, 404 if missing
+// Add `?_delay=ms` to slow a response down or `?_fail=1` to force a 500.
+
+const posts = createPosts(5000);
+
+const send = (res, status, body) => {
+  res.statusCode = status;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+};
+
+const handler = (req, res, next) => {
+  const url = new URL(req.url, "http://localhost");
+  const match = url.pathname.match(/^\/posts(?:\/(\d+))?\/?$/);
+  if (req.method !== "GET" || !match) return next();
+
+  const delay = Number(url.searchParams.get("_delay") ?? 300);
+  setTimeout(() => {
+    if (url.searchParams.get("_fail")) {
+      return send(res, 500, { error: "Simulated server error" });
+    }
+    if (match[1]) {
+      const post = posts.find((p) => p.id === Number(match[1]));
+      return post
+        ? send(res, 200, post)
+        : send(res, 404, { error: "Post not found" });
+    }
+    const page = Number(url.searchParams.get("_page"));
+    if (page > 0) {
+      const limit = Number(url.searchParams.get("_limit")) || 10;
+      res.setHeader("X-Total-Count", posts.length);
+      return send(res, 200, posts.slice((page - 1) * limit, page * limit));
+    }
+    send(res, 200, posts);
+  }, delay);
+};
+
+const mockApi = () => ({
+  name: "mock-api",
+  configureServer(server) {
+    server.middlewares.use("/api", handler);
+  },
+  configurePreviewServer(server) {
+    server.middlewares.use("/api", handler);
+  },
+});
+
+export default mockApi;
@@ -0,0 +1,25 @@
+// Deterministic fake posts in the jsonplaceholder shape.
+
+const words = (
+  "lorem ipsum dolor sit amet consectetur adipiscing elit sed do eiusmod " +
+  "tempor incididunt ut labore et dolore magna aliqua enim ad minim veniam " +
+  "quis nostrud exercitation ullamco laboris nisi aliquip ex ea commodo"
+).split(" ");
+
+const sentence = (seed, length) =>
+  Array.from({ length }, (_, i) => words[(seed * 7 + i * 13) % words.length])
+    .join(" ")
+    .replace(/^\w/, (c) => c.toUpperCase());
+
+const createPosts = (count) =>
+  Array.from({ length: count }, (_, i) => {
+    const id = i + 1;
+    return {
+      userId: Math.floor(i / 10) + 1,
+      id,
+      title: sentence(id, 4 + (id % 5)),
+      body: sentence(id * 3, 20 + (id % 15)),
+    };
+  });
+
+export { createPosts };
@@ -1,9 +1,10 @@
-import React, { useEffect, useState } from "react";
+import React from "react";
 import LoggerComponent from "./components/LoggerComponent";
 import TimeComponent from "./components/TimeComponent";
 import DataFetcher from "./components/DataFetcher";
 import ResizeComponent from "./components/ResizeComponent";
 import MultiEffectComponent from "./components/MultiEffectComponent";
+import Timers from "./components/Timers";
 
 function App() {
   // const [count, setCount] = useState(0);
@@ -33,7 +34,8 @@ function App() {
   return (
     <div>
       <MultiEffectComponent />
-      {/* <DataFetcher /> */}
+      <DataFetcher />
+      <Timers />
       {/* <ResizeComponent /> */}
       {/* <TimeComponent /> */}
       {/* <LoggerComponent /> */}
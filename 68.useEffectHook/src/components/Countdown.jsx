@@ -0,0 +1,51 @@
+import React from "react";
+import { useLocalStorage, useTimer, useTimerShortcuts } from "../hooks";
+import formatTime from "../utils/formatTime";
+
+function Countdown() {
+  const [duration, setDuration] = useLocalStorage("countdown:duration", 60000);
+  const { status, elapsed, toggle, reset } = useTimer("countdown", {
+    limit: duration,
+  });
+  useTimerShortcuts({ toggle: status === "done" ? reset : toggle });
+
+  const handleMinutes = (e) => {
+    const minutes = Math.max(0, Number(e.target.value));
+    setDuration(Math.round(minutes * 60000));
+  };
+
+  return (
+    <div className="timer">
+      <label>
+        Minutes{" "}
+        <input
+          type="number"
+          min="0"
+          step="0.5"
+          value={duration / 60000}
+          onChange={handleMinutes}
+          disabled={status !== "idle"}
+        />
+      </label>
+      <h1 className="timer-display" role="timer">
+        {formatTime(duration - elapsed)}
+      </h1>
+      {status === "done" && <p role="alert">Time's up!</p>}
+      <div className="timer-controls">
+        <button onClick={toggle} disabled={status === "done" || duration === 0}>
+          {status === "running"
+            ? "Pause"
+            : status === "paused"
+              ? "Resume"
+              : "Start"}
+        </button>
+        <button onClick={reset} disabled={status === "idle"}>
+          Reset
+        </button>
+      </div>
+      <p className="hint">Space: start / pause</p>
+    </div>
+  );
+}
+
+export default Countdown;
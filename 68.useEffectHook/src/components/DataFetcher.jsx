@@ -1,30 +1,80 @@
-import React, { useEffect, useState } from "react";
+import React, { useState } from "react";
+import { useInfiniteQuery } from "../hooks";
+import VirtualList from "./VirtualList";
+import PostDetail from "./PostDetail";
+import Async from "../states/Async";
+import { Match, Switch } from "../states/Switch";
+import Skeleton from "../states/Skeleton";
+import EmptyState from "../states/EmptyState";
+import ErrorBoundary from "../states/ErrorBoundary";
+
+const PAGE_SIZE = 50;
+const ROW_HEIGHT = 48;
+
+const pageKey = (page) => `/api/posts?_page=${page}&_limit=${PAGE_SIZE}`;
 
 function DataFetcher() {
-  const [data, setData] = useState([]);
-  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null);
+  const { items, error, isLoading, isFetchingMore, hasMore, loadMore, retry } =
+    useInfiniteQuery(pageKey, { pageSize: PAGE_SIZE });
 
-  useEffect(() => {
-    fetch("https://jsonplaceholder.typicode.com/posts")
-      .then((res) => res.json())
-      .then((json) => {
-        setData(json);
-        setLoading(false);
-      });
-  }, []);
+  const footer = (
+    <Switch>
+      <Match when={error}>
+        {(err) => (
+          <p className="list-status" role="alert">
+            {err.message} <button onClick={retry}>Retry</button>
+          </p>
+        )}
+      </Match>
+      <Match when={isFetchingMore}>
+        <p className="list-status">Loading more ...</p>
+      </Match>
+      <Match when={!hasMore}>
+        <p className="list-status">That's all {items.length} posts.</p>
+      </Match>
+    </Switch>
+  );
 
   return (
-    <div>
-      {loading ? (
-        <h1>Loading ...</h1>
-      ) : (
-        <ul>
-          {data.map((post) => (
-            <li key={post.id}>{post.title}</li>
-          ))}
-        </ul>
+    <Async
+      isLoading={isLoading}
+      // Once some posts are on screen a failed page is reported in the footer.
+      error={items.length === 0 ? error : null}
+      data={items}
+      onRetry={retry}
+      loading={<Skeleton count={10} height={ROW_HEIGHT - 8} />}
+      empty={<EmptyState title="No posts yet" />}
+    >
+      {(posts) => (
+        <div className="posts">
+          <VirtualList
+            items={posts}
+            rowHeight={ROW_HEIGHT}
+            height={480}
+            onEndReached={loadMore}
+            footer={footer}
+            renderRow={(post) => (
+              <button
+                className="post-row"
+                aria-pressed={post.id === selectedId}
+                onClick={() => setSelectedId(post.id)}
+              >
+                <span>#{post.id}</span> {post.title}
+              </button>
+            )}
+          />
+          {selectedId && (
+            <ErrorBoundary resetKeys={[selectedId]}>
+              <PostDetail
+                postId={selectedId}
+                onClose={() => setSelectedId(null)}
+              />
+            </ErrorBoundary>
+          )}
+        </div>
       )}
-    </div>
+    </Async>
   );
 }
 
@@ -1,14 +1,20 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect } from "react";
+import { useDebounce, useLocalStorage, usePrevious } from "../hooks";
 
 function LoggerComponent() {
-  const [count, setCount] = useState(0);
+  const [count, setCount] = useLocalStorage("logger:count", 0);
+  const previous = usePrevious(count);
+  const settledCount = useDebounce(count, 500);
 
+  // Logs once clicking stops instead of on every click.
   useEffect(() => {
-    console.log("Component rendered count changed : ", count);
-  }, [count]);
+    console.log("Component rendered count changed : ", settledCount);
+  }, [settledCount]);
+
   return (
     <div>
       <h1>{count}</h1>
+      {previous !== undefined && <p>Previous: {previous}</p>}
       <button onClick={() => setCount(count + 1)}>Increment</button>
     </div>
   );
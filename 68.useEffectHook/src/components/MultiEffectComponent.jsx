@@ -1,4 +1,5 @@
 import React, { useEffect, useState } from "react";
+import { useInterval } from "../hooks";
 
 function MultiEffectComponent() {
   const [count, setCount] = useState(0);
@@ -10,17 +11,9 @@ function MultiEffectComponent() {
 
   //side-effect logic will run only when count is changed
 
-  useEffect(() => {
-    const intervalId = setInterval(() => {
-      setSeconds((prevcount) => prevcount + 1);
-    }, 1000);
-
-    return () => {
-      clearInterval(intervalId);
-    };
-  }, []);
+  useInterval(() => setSeconds((prevcount) => prevcount + 1), 1000);
 
-  // side-effect logic will run only on first render
+  // the interval is set up once and cleared on unmount
 
   return (
     <div>
@@ -0,0 +1,40 @@
+import React from "react";
+import { useQuery } from "../hooks";
+import Async from "../states/Async";
+import Skeleton from "../states/Skeleton";
+
+function PostDetail({ postId, onClose }) {
+  const {
+    data: post,
+    error,
+    isLoading,
+    refetch,
+  } = useQuery(`/api/posts/${postId}`);
+
+  return (
+    <aside className="post-detail" aria-live="polite">
+      <button className="close" onClick={onClose} aria-label="Close post">
+        ×
+      </button>
+      <Async
+        isLoading={isLoading}
+        error={error}
+        data={post}
+        onRetry={refetch}
+        loading={<Skeleton count={4} />}
+      >
+        {(post) => (
+          <article>
+            <p className="meta">
+              Post #{post.id} · User {post.userId}
+            </p>
+            <h2>{post.title}</h2>
+            <p>{post.body}</p>
+          </article>
+        )}
+      </Async>
+    </aside>
+  );
+}
+
+export default PostDetail;
@@ -1,21 +1,16 @@
-import React, { useEffect, useState } from "react";
+import React from "react";
+import { useMediaQuery, useWindowSize } from "../hooks";
 
 function ResizeComponent() {
-  const [windowWidth, setWindowWidth] = useState(window.innerWidth);
+  const { width, height } = useWindowSize();
+  const isNarrow = useMediaQuery("(max-width: 600px)");
 
-  useEffect(() => {
-    const handleResize = () => setWindowWidth(window.innerWidth);
-    console.log("Event Listener Added");
-    window.addEventListener("resize", handleResize);
-
-    return () => {
-      console.log("Event Listener Removed");
-      window.removeEventListener("resize", handleResize);
-    };
-  },[]);
   return (
     <div>
-      <h1>Window Width: {windowWidth} </h1>
+      <h1>
+        Window Size: {width} x {height}
+      </h1>
+      <p>{isNarrow ? "Narrow layout" : "Wide layout"}</p>
     </div>
   );
 }
@@ -0,0 +1,45 @@
+import React from "react";
+import { useTimer, useTimerShortcuts } from "../hooks";
+import formatTime from "../utils/formatTime";
+
+function Stopwatch() {
+  const { status, elapsed, laps, toggle, lap, reset } = useTimer("stopwatch");
+  useTimerShortcuts({ toggle, lap });
+
+  return (
+    <div className="timer">
+      <h1 className="timer-display">{formatTime(elapsed)}</h1>
+      <div className="timer-controls">
+        <button onClick={toggle}>
+          {status === "running"
+            ? "Pause"
+            : status === "paused"
+              ? "Resume"
+              : "Start"}
+        </button>
+        <button onClick={lap} disabled={status !== "running"}>
+          Lap
+        </button>
+        <button onClick={reset} disabled={status === "idle"}>
+          Reset
+        </button>
+      </div>
+      {laps.length > 0 && (
+        <ol className="laps" reversed>
+          {laps
+            .map((total, i) => (
+              <li key={i}>
+                <span>Lap {i + 1}</span>
+                <span>{formatTime(total - (laps[i - 1] ?? 0))}</span>
+                <span>{formatTime(total)}</span>
+              </li>
+            ))
+            .reverse()}
+        </ol>
+      )}
+      <p className="hint">Space: start / pause · L: lap</p>
+    </div>
+  );
+}
+
+export default Stopwatch;
@@ -1,23 +1,21 @@
-import React, { useEffect, useInsertionEffect, useState } from "react";
+import React, { useState } from "react";
+import { useInterval } from "../hooks";
 
 function TimeComponent() {
   const [seconds, setSeconds] = useState(0);
+  const [running, setRunning] = useState(true);
 
-  useEffect(() => {
-    const intervalId = setInterval(() => {
-      setSeconds((prveSeconds) => prveSeconds + 1);
-      console.log("Timer Runs");
-    }, 1000);
-
-    return () => {
-      clearInterval(intervalId);
-      console.log("Unmounted");
-    };
-  }, [seconds]);
+  useInterval(
+    () => setSeconds((prevSeconds) => prevSeconds + 1),
+    running ? 1000 : null
+  );
 
   return (
     <div>
       <h1>Seconds : {seconds} </h1>
+      <button onClick={() => setRunning(!running)}>
+        {running ? "Pause" : "Resume"}
+      </button>
     </div>
   );
 }
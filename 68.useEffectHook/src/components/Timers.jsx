@@ -0,0 +1,31 @@
+import React, { useState } from "react";
+import Stopwatch from "./Stopwatch";
+import Countdown from "./Countdown";
+
+function Timers() {
+  const [mode, setMode] = useState("stopwatch");
+
+  return (
+    <div>
+      <div className="timer-tabs" role="tablist">
+        <button
+          role="tab"
+          aria-selected={mode === "stopwatch"}
+          onClick={() => setMode("stopwatch")}
+        >
+          Stopwatch
+        </button>
+        <button
+          role="tab"
+          aria-selected={mode === "countdown"}
+          onClick={() => setMode("countdown")}
+        >
+          Countdown
+        </button>
+      </div>
+      {mode === "stopwatch" ? <Stopwatch /> : <Countdown />}
+    </div>
+  );
+}
+
+export default Timers;
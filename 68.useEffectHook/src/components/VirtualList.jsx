@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from "react";
+
+// Renders only the rows inside the scroll viewport (plus `overscan` on each
+// side). Rows must all be `rowHeight` px tall. `onEndReached` fires when the
+// sentinel below the last row scrolls into view.
+function VirtualList({
+  items,
+  rowHeight,
+  height,
+  overscan = 5,
+  renderRow,
+  onEndReached,
+  footer,
+}) {
+  const viewportRef = useRef(null);
+  const sentinelRef = useRef(null);
+  const onEndReachedRef = useRef(onEndReached);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  useEffect(() => {
+    onEndReachedRef.current = onEndReached;
+  });
+
+  useEffect(() => {
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) onEndReachedRef.current?.();
+      },
+      { root: viewportRef.current, rootMargin: `${rowHeight * overscan}px` }
+    );
+    observer.observe(sentinelRef.current);
+    return () => observer.disconnect();
+  }, [rowHeight, overscan]);
+
+  // A new page may still leave the sentinel on screen, and the observer only
+  // reports changes, so check again whenever the list grows.
+  useEffect(() => {
+    const viewport = viewportRef.current;
+    // measured on screen, so it does not depend on which ancestor is positioned
+    const distance =
+      sentinelRef.current.getBoundingClientRect().top -
+      (viewport.getBoundingClientRect().top + viewport.clientTop);
+    if (distance <= viewport.clientHeight + rowHeight * overscan) {
+      onEndReachedRef.current?.();
+    }
+  }, [items.length, rowHeight, overscan]);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(
+    items.length,
+    Math.ceil((scrollTop + height) / rowHeight) + overscan
+  );
+
+  return (
+    <div
+      ref={viewportRef}
+      className="virtual-list"
+      style={{ height }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <ul role="list" style={{ height: items.length * rowHeight }}>
+        {items.slice(start, end).map((item, i) => (
+          <li
+            key={item.id}
+            style={{ top: (start + i) * rowHeight, height: rowHeight }}
+          >
+            {renderRow(item, start + i)}
+          </li>
+        ))}
+      </ul>
+      <div ref={sentinelRef} aria-hidden="true" />
+      {footer}
+    </div>
+  );
+}
+
+export default VirtualList;
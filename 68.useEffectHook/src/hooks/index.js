@@ -0,0 +1,11 @@
+export { default as useDebounce } from "./useDebounce";
+export { default as useEventListener } from "./useEventListener";
+export { default as useInfiniteQuery } from "./useInfiniteQuery";
+export { default as useInterval } from "./useInterval";
+export { default as useLocalStorage } from "./useLocalStorage";
+export { default as useMediaQuery } from "./useMediaQuery";
+export { default as usePrevious } from "./usePrevious";
+export { default as useQuery } from "./useQuery";
+export { default as useTimer } from "./useTimer";
+export { default as useTimerShortcuts } from "./useTimerShortcuts";
+export { default as useWindowSize } from "./useWindowSize";
@@ -0,0 +1,114 @@
+// Shared cache behind useQuery. One entry per key:
+// { data, error, status, isFetching, updatedAt }
+// Concurrent requests for the same key share one in-flight fetch, which is
+// aborted once the last component interested in it goes away.
+
+const entries = new Map();
+const listeners = new Map();
+const inFlight = new Map();
+
+const emptyEntry = {
+  data: undefined,
+  error: null,
+  status: "idle",
+  isFetching: false,
+  updatedAt: 0,
+};
+
+const getEntry = (key) => entries.get(key) ?? emptyEntry;
+
+const setEntry = (key, patch) => {
+  entries.set(key, { ...getEntry(key), ...patch });
+  listeners.get(key)?.forEach((listener) => listener());
+};
+
+const subscribe = (key, listener) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  return () => listeners.get(key).delete(listener);
+};
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    });
+  });
+
+const backoff = (attempt) => Math.min(1000 * 2 ** attempt, 8000);
+
+const run = async (key, fetcher, retries, signal) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetcher(key, signal);
+    } catch (error) {
+      if (signal.aborted || attempt >= retries) throw error;
+      await sleep(backoff(attempt), signal);
+    }
+  }
+};
+
+// Starts a fetch for `key` unless one is already running. Returns a release
+// function; call it when the caller no longer needs the result.
+const fetchQuery = (key, fetcher, { retries = 3 } = {}) => {
+  let request = inFlight.get(key);
+
+  if (!request) {
+    const controller = new AbortController();
+    request = { controller, consumers: 0 };
+    inFlight.set(key, request);
+    setEntry(key, {
+      isFetching: true,
+      status: getEntry(key).data === undefined ? "loading" : "success",
+    });
+
+    run(key, fetcher, retries, controller.signal).then(
+      (data) => {
+        if (controller.signal.aborted) return;
+        inFlight.delete(key);
+        setEntry(key, {
+          data,
+          error: null,
+          status: "success",
+          isFetching: false,
+          updatedAt: Date.now(),
+        });
+      },
+      (error) => {
+        if (controller.signal.aborted) return;
+        inFlight.delete(key);
+        setEntry(key, { error, status: "error", isFetching: false });
+      }
+    );
+  }
+
+  request.consumers++;
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    request.consumers--;
+    if (request.consumers === 0 && inFlight.get(key) === request) {
+      inFlight.delete(key);
+      request.controller.abort();
+      const { data } = getEntry(key);
+      setEntry(key, {
+        isFetching: false,
+        status: data === undefined ? "idle" : "success",
+      });
+    }
+  };
+};
+
+const fetchJson = async (url, signal) => {
+  const res = await fetch(url, { signal });
+  if (!res.ok) throw new Error(`Request failed with status ${res.status}`);
+  return res.json();
+};
+
+const isStale = (key, staleTime) =>
+  Date.now() - getEntry(key).updatedAt >= staleTime;
+
+export { getEntry, subscribe, fetchQuery, fetchJson, isStale };
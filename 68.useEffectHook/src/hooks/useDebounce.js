@@ -0,0 +1,15 @@
+import { useEffect, useState } from "react";
+
+// Returns `value` once it has stopped changing for `delay` ms.
+function useDebounce(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const id = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(id);
+  }, [value, delay]);
+
+  return debounced;
+}
+
+export default useDebounce;
@@ -0,0 +1,22 @@
+import { describe, expect, it, vi } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import useDebounce from "./useDebounce";
+
+describe("useDebounce", () => {
+  it("returns the value once it stops changing for the delay", () => {
+    vi.useFakeTimers();
+    const { result, rerender } = renderHook(
+      ({ value }) => useDebounce(value, 300),
+      { initialProps: { value: "a" } }
+    );
+
+    rerender({ value: "ab" });
+    act(() => vi.advanceTimersByTime(200));
+    rerender({ value: "abc" });
+    act(() => vi.advanceTimersByTime(200));
+    expect(result.current).toBe("a");
+
+    act(() => vi.advanceTimersByTime(100));
+    expect(result.current).toBe("abc");
+  });
+});
@@ -0,0 +1,28 @@
+import { useEffect, useRef } from "react";
+
+// Attaches `handler` to `target` (window by default, or a ref) without
+// re-subscribing when the handler changes between renders.
+function useEventListener(eventName, handler, target, options) {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  const capture = typeof options === "boolean" ? options : options?.capture;
+  const passive = options?.passive;
+
+  useEffect(() => {
+    const element =
+      target && "current" in target
+        ? target.current
+        : (target ?? (typeof window === "undefined" ? null : window));
+    if (!element?.addEventListener) return;
+
+    const listener = (event) => handlerRef.current(event);
+    element.addEventListener(eventName, listener, { capture, passive });
+    return () => element.removeEventListener(eventName, listener, { capture });
+  }, [eventName, target, capture, passive]);
+}
+
+export default useEventListener;
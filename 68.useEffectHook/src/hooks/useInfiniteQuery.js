@@ -0,0 +1,108 @@
+import {
+  useCallback,
+  useEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import {
+  fetchJson,
+  fetchQuery,
+  getEntry,
+  isStale,
+  subscribe,
+} from "./queryCache";
+
+// Page-by-page companion to useQuery. `getKey(page)` builds the cache key for
+// a 1-based page; a page shorter than `pageSize` marks the end of the list.
+function useInfiniteQuery(
+  getKey,
+  { pageSize, fetcher = fetchJson, staleTime = 30000, retries = 3 }
+) {
+  const [pageCount, setPageCount] = useState(1);
+  const fetcherRef = useRef(fetcher);
+  const releases = useRef(new Map());
+  const snapshot = useRef([]);
+
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const keys = Array.from({ length: pageCount }, (_, i) => getKey(i + 1));
+  const keyList = keys.join("\n");
+
+  const pages = useSyncExternalStore(
+    useCallback(
+      (listener) => {
+        const unsubscribes = keyList
+          .split("\n")
+          .map((key) => subscribe(key, listener));
+        return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+      },
+      [keyList]
+    ),
+    () => {
+      const next = keyList.split("\n").map(getEntry);
+      const prev = snapshot.current;
+      if (
+        next.length !== prev.length ||
+        next.some((entry, i) => entry !== prev[i])
+      ) {
+        snapshot.current = next;
+      }
+      return snapshot.current;
+    }
+  );
+
+  const load = useCallback(
+    (key) => {
+      releases.current.get(key)?.();
+      releases.current.set(
+        key,
+        fetchQuery(key, (...args) => fetcherRef.current(...args), { retries })
+      );
+    },
+    [retries]
+  );
+
+  useEffect(() => {
+    keyList.split("\n").forEach((key) => {
+      if (!releases.current.has(key) && isStale(key, staleTime)) load(key);
+    });
+  }, [keyList, staleTime, load]);
+
+  useEffect(() => {
+    const active = releases.current;
+    return () => {
+      active.forEach((release) => release());
+      active.clear();
+    };
+  }, []);
+
+  const last = pages[pages.length - 1];
+  const failed = pages.findIndex((page) => page.status === "error");
+  const hasMore = last.data === undefined || last.data.length === pageSize;
+  const isFetching = pages.some((page) => page.isFetching);
+
+  const loadMore = useCallback(() => {
+    if (last.status === "success" && hasMore && !isFetching) {
+      setPageCount((count) => count + 1);
+    }
+  }, [last.status, hasMore, isFetching]);
+
+  const retry = useCallback(() => {
+    if (failed !== -1) load(keyList.split("\n")[failed]);
+  }, [failed, keyList, load]);
+
+  return {
+    items: pages.flatMap((page) => page.data ?? []),
+    error: failed === -1 ? null : pages[failed].error,
+    isLoading: pages[0].data === undefined && pages[0].status !== "error",
+    isFetchingMore: pageCount > 1 && last.isFetching,
+    hasMore,
+    loadMore,
+    retry,
+  };
+}
+
+export default useInfiniteQuery;
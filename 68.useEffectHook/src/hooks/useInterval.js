@@ -0,0 +1,19 @@
+import { useEffect, useRef } from "react";
+
+// Calls the latest `callback` every `delay` ms. Pass a null delay to pause.
+// Changing the callback does not restart the interval.
+function useInterval(callback, delay) {
+  const callbackRef = useRef(callback);
+
+  useEffect(() => {
+    callbackRef.current = callback;
+  });
+
+  useEffect(() => {
+    if (delay === null || delay === undefined) return;
+    const id = setInterval(() => callbackRef.current(), delay);
+    return () => clearInterval(id);
+  }, [delay]);
+}
+
+export default useInterval;
@@ -0,0 +1,66 @@
+import { describe, expect, it, vi } from "vitest";
+import { renderHook } from "@testing-library/react";
+import useInterval from "./useInterval";
+
+describe("useInterval", () => {
+  it("calls the callback every delay", () => {
+    vi.useFakeTimers();
+    const callback = vi.fn();
+    renderHook(() => useInterval(callback, 100));
+
+    vi.advanceTimersByTime(350);
+
+    expect(callback).toHaveBeenCalledTimes(3);
+  });
+
+  it("pauses with a null delay and resumes afterwards", () => {
+    vi.useFakeTimers();
+    const callback = vi.fn();
+    const { rerender } = renderHook(
+      ({ delay }) => useInterval(callback, delay),
+      {
+        initialProps: { delay: 100 },
+      }
+    );
+
+    vi.advanceTimersByTime(100);
+    rerender({ delay: null });
+    vi.advanceTimersByTime(500);
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    rerender({ delay: 100 });
+    vi.advanceTimersByTime(100);
+    expect(callback).toHaveBeenCalledTimes(2);
+  });
+
+  it("uses the latest callback without restarting the interval", () => {
+    vi.useFakeTimers();
+    const first = vi.fn();
+    const second = vi.fn();
+    const { rerender } = renderHook(
+      ({ callback }) => useInterval(callback, 100),
+      {
+        initialProps: { callback: first },
+      }
+    );
+
+    vi.advanceTimersByTime(60);
+    rerender({ callback: second });
+    // A restarted interval would wait another full 100 ms here.
+    vi.advanceTimersByTime(40);
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops on unmount", () => {
+    vi.useFakeTimers();
+    const callback = vi.fn();
+    const { unmount } = renderHook(() => useInterval(callback, 100));
+
+    unmount();
+    vi.advanceTimersByTime(500);
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+import { useCallback, useState } from "react";
+import useEventListener from "./useEventListener";
+
+const parse = (raw, fallback) => {
+  try {
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+};
+
+const read = (key, initialValue) => {
+  try {
+    return parse(window.localStorage.getItem(key), initialValue);
+  } catch {
+    return initialValue;
+  }
+};
+
+// useState backed by localStorage. Other tabs writing the same key update
+// this one through the `storage` event.
+function useLocalStorage(key, initialValue) {
+  const [state, setState] = useState(() => ({
+    key,
+    value: read(key, initialValue),
+  }));
+
+  // Re-read when the key itself changes.
+  let value = state.value;
+  if (state.key !== key) {
+    value = read(key, initialValue);
+    setState({ key, value });
+  }
+
+  const setValue = useCallback(
+    (next) => {
+      setState((prev) => {
+        const resolved = typeof next === "function" ? next(prev.value) : next;
+        try {
+          window.localStorage.setItem(key, JSON.stringify(resolved));
+        } catch {
+          // Storage full or disabled: keep the in-memory value.
+        }
+        return { key, value: resolved };
+      });
+    },
+    [key]
+  );
+
+  useEventListener("storage", (event) => {
+    if (event.storageArea !== window.localStorage || event.key !== key) return;
+    setState({ key, value: parse(event.newValue, initialValue) });
+  });
+
+  return [value, setValue];
+}
+
+export default useLocalStorage;
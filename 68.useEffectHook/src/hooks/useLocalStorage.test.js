@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import useLocalStorage from "./useLocalStorage";
+
+const storageEvent = (key, newValue) =>
+  new StorageEvent("storage", {
+    key,
+    newValue,
+    storageArea: window.localStorage,
+  });
+
+describe("useLocalStorage", () => {
+  it("starts from the stored value, or the initial value", () => {
+    localStorage.setItem("saved", "5");
+
+    expect(
+      renderHook(() => useLocalStorage("saved", 0)).result.current[0]
+    ).toBe(5);
+    expect(
+      renderHook(() => useLocalStorage("fresh", 0)).result.current[0]
+    ).toBe(0);
+  });
+
+  it("writes updates, including functional ones", () => {
+    const { result } = renderHook(() => useLocalStorage("count", 1));
+
+    act(() => result.current[1]((n) => n + 1));
+
+    expect(result.current[0]).toBe(2);
+    expect(localStorage.getItem("count")).toBe("2");
+  });
+
+  it("follows writes from other tabs", () => {
+    const { result } = renderHook(() => useLocalStorage("count", 0));
+
+    act(() => window.dispatchEvent(storageEvent("count", "42")));
+    expect(result.current[0]).toBe(42);
+
+    act(() => window.dispatchEvent(storageEvent("other", "7")));
+    expect(result.current[0]).toBe(42);
+
+    // The key was removed in the other tab.
+    act(() => window.dispatchEvent(storageEvent("count", null)));
+    expect(result.current[0]).toBe(0);
+  });
+
+  it("re-reads when the key changes", () => {
+    localStorage.setItem("a", '"from a"');
+    localStorage.setItem("b", '"from b"');
+    const { result, rerender } = renderHook(
+      ({ key }) => useLocalStorage(key, ""),
+      { initialProps: { key: "a" } }
+    );
+    expect(result.current[0]).toBe("from a");
+
+    rerender({ key: "b" });
+    expect(result.current[0]).toBe("from b");
+
+    act(() => result.current[1]("written"));
+    expect(localStorage.getItem("b")).toBe('"written"');
+    expect(localStorage.getItem("a")).toBe('"from a"');
+  });
+});
@@ -0,0 +1,22 @@
+import { useCallback, useSyncExternalStore } from "react";
+
+// Whether `query` currently matches, e.g. useMediaQuery("(max-width: 600px)").
+// Always false when rendered without a window.
+function useMediaQuery(query) {
+  const subscribe = useCallback(
+    (onChange) => {
+      const list = window.matchMedia(query);
+      list.addEventListener("change", onChange);
+      return () => list.removeEventListener("change", onChange);
+    },
+    [query]
+  );
+
+  return useSyncExternalStore(
+    subscribe,
+    () => window.matchMedia(query).matches,
+    () => false
+  );
+}
+
+export default useMediaQuery;
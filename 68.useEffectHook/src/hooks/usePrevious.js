@@ -0,0 +1,16 @@
+import { useState } from "react";
+
+// The value passed on the render before `value` last changed.
+function usePrevious(value) {
+  const [current, setCurrent] = useState(value);
+  const [previous, setPrevious] = useState(undefined);
+
+  if (!Object.is(value, current)) {
+    setPrevious(current);
+    setCurrent(value);
+  }
+
+  return previous;
+}
+
+export default usePrevious;
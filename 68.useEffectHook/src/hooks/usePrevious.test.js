@@ -0,0 +1,22 @@
+import { describe, expect, it } from "vitest";
+import { renderHook } from "@testing-library/react";
+import usePrevious from "./usePrevious";
+
+describe("usePrevious", () => {
+  it("returns the value from before the last change", () => {
+    const { result, rerender } = renderHook(({ value }) => usePrevious(value), {
+      initialProps: { value: 1 },
+    });
+    expect(result.current).toBeUndefined();
+
+    rerender({ value: 2 });
+    expect(result.current).toBe(1);
+
+    // Re-rendering with the same value keeps the previous one.
+    rerender({ value: 2 });
+    expect(result.current).toBe(1);
+
+    rerender({ value: 3 });
+    expect(result.current).toBe(2);
+  });
+});
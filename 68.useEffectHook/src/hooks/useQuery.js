@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from "react";
+import {
+  fetchJson,
+  fetchQuery,
+  getEntry,
+  isStale,
+  subscribe,
+} from "./queryCache";
+
+// Stale-while-revalidate data hook. Cached data for `key` is returned right
+// away and refetched in the background once older than `staleTime` ms.
+// Pass a null key to skip fetching.
+function useQuery(
+  key,
+  { fetcher = fetchJson, staleTime = 30000, retries = 3 } = {}
+) {
+  const fetcherRef = useRef(fetcher);
+  const releaseRef = useRef(null);
+
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const entry = useSyncExternalStore(
+    useCallback(
+      (listener) => (key ? subscribe(key, listener) : () => {}),
+      [key]
+    ),
+    () => (key ? getEntry(key) : undefined)
+  );
+
+  useEffect(() => {
+    if (!key) return;
+    const release = isStale(key, staleTime)
+      ? fetchQuery(key, (...args) => fetcherRef.current(...args), { retries })
+      : null;
+    return () => {
+      release?.();
+      releaseRef.current?.();
+      releaseRef.current = null;
+    };
+  }, [key, staleTime, retries]);
+
+  // Forces a fresh request, e.g. from a "Retry" button.
+  const refetch = useCallback(() => {
+    if (!key) return;
+    releaseRef.current?.();
+    releaseRef.current = fetchQuery(
+      key,
+      (...args) => fetcherRef.current(...args),
+      { retries }
+    );
+  }, [key, retries]);
+
+  return {
+    data: entry?.data,
+    error: entry?.error ?? null,
+    isLoading: entry?.status === "loading",
+    isValidating: Boolean(entry?.isFetching),
+    refetch,
+  };
+}
+
+export default useQuery;
@@ -0,0 +1,76 @@
+import { useCallback, useState } from "react";
+import useInterval from "./useInterval";
+import useLocalStorage from "./useLocalStorage";
+
+// Wall-clock milliseconds with performance.now() precision. Unlike
+// performance.now() alone it stays comparable across page reloads.
+const now = () => performance.timeOrigin + performance.now();
+
+const idle = { status: "idle", elapsed: 0, since: null, laps: [] };
+
+const elapsedAt = (timer, time) =>
+  timer.status === "running"
+    ? timer.elapsed + time - timer.since
+    : timer.elapsed;
+
+// Elapsed time is always derived from timestamps, never by counting ticks,
+// so a throttled tab or a slow render cannot make it drift. The state lives
+// in localStorage under `storageKey`, so a running timer keeps running across
+// reloads. With a `limit` the timer reports "done" once it gets there.
+function useTimer(storageKey, { limit } = {}) {
+  const [timer, setTimer] = useLocalStorage(storageKey, idle);
+  const [, setFrame] = useState(0);
+
+  let elapsed = elapsedAt(timer, now());
+  const done = limit !== undefined && elapsed >= limit;
+  if (done) elapsed = limit;
+  const status = done ? "done" : timer.status;
+
+  // Only repaints the display; the value itself comes from the clock.
+  useInterval(
+    () => setFrame((frame) => frame + 1),
+    status === "running" ? 31 : null
+  );
+
+  const start = useCallback(() => {
+    const time = now();
+    setTimer((t) =>
+      t.status === "running" ? t : { ...t, status: "running", since: time }
+    );
+  }, [setTimer]);
+
+  const pause = useCallback(() => {
+    const time = now();
+    setTimer((t) =>
+      t.status === "running"
+        ? { ...t, status: "paused", elapsed: elapsedAt(t, time), since: null }
+        : t
+    );
+  }, [setTimer]);
+
+  const lap = useCallback(() => {
+    const time = now();
+    setTimer((t) =>
+      t.status === "running"
+        ? { ...t, laps: [...t.laps, elapsedAt(t, time)] }
+        : t
+    );
+  }, [setTimer]);
+
+  const reset = useCallback(() => setTimer(idle), [setTimer]);
+
+  const toggle = status === "running" ? pause : start;
+
+  return {
+    status,
+    elapsed,
+    laps: timer.laps,
+    start,
+    pause,
+    toggle,
+    lap,
+    reset,
+  };
+}
+
+export default useTimer;
@@ -0,0 +1,22 @@
+import useEventListener from "./useEventListener";
+
+const isTyping = (target) =>
+  target.closest?.("input, textarea, select, [contenteditable]");
+
+// Space toggles the timer and L records a lap, unless the user is typing.
+// Space on a focused button is left alone so it does not fire twice.
+function useTimerShortcuts({ toggle, lap }) {
+  useEventListener("keydown", (event) => {
+    if (event.repeat || event.ctrlKey || event.metaKey || event.altKey) return;
+    if (isTyping(event.target)) return;
+
+    if (event.code === "Space" && !event.target.closest?.("button")) {
+      event.preventDefault();
+      toggle();
+    } else if (event.key.toLowerCase() === "l" && lap) {
+      lap();
+    }
+  });
+}
+
+export default useTimerShortcuts;
@@ -0,0 +1,32 @@
+import { useEffect, useRef, useState } from "react";
+import useEventListener from "./useEventListener";
+
+const readSize = () =>
+  typeof window === "undefined"
+    ? { width: undefined, height: undefined }
+    : { width: window.innerWidth, height: window.innerHeight };
+
+// Window dimensions, updated at most once every `wait` ms while resizing.
+// Both values are undefined when rendered without a window.
+function useWindowSize(wait = 100) {
+  const [size, setSize] = useState(readSize);
+  const lastRun = useRef(0);
+  const timer = useRef(null);
+
+  useEventListener("resize", () => {
+    const update = () => {
+      lastRun.current = Date.now();
+      timer.current = null;
+      setSize(readSize());
+    };
+    const remaining = wait - (Date.now() - lastRun.current);
+    if (remaining <= 0) update();
+    else if (!timer.current) timer.current = setTimeout(update, remaining);
+  });
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  return size;
+}
+
+export default useWindowSize;
@@ -0,0 +1,38 @@
+import { describe, expect, it, vi } from "vitest";
+import { act, renderHook } from "@testing-library/react";
+import useWindowSize from "./useWindowSize";
+
+const resizeTo = (width, height) => {
+  window.innerWidth = width;
+  window.innerHeight = height;
+  window.dispatchEvent(new Event("resize"));
+};
+
+describe("useWindowSize", () => {
+  it("reads the current window size", () => {
+    const { result } = renderHook(() => useWindowSize());
+    expect(result.current).toEqual({
+      width: window.innerWidth,
+      height: window.innerHeight,
+    });
+  });
+
+  it("updates at most once per wait while resizing", () => {
+    vi.useFakeTimers();
+    const { result } = renderHook(() => useWindowSize(100));
+
+    // The first event after a quiet period applies straight away.
+    act(() => resizeTo(800, 600));
+    expect(result.current).toEqual({ width: 800, height: 600 });
+
+    act(() => {
+      resizeTo(700, 500);
+      resizeTo(600, 400);
+    });
+    expect(result.current).toEqual({ width: 800, height: 600 });
+
+    // The trailing update picks up the last size.
+    act(() => vi.advanceTimersByTime(100));
+    expect(result.current).toEqual({ width: 600, height: 400 });
+  });
+});
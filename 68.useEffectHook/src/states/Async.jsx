@@ -0,0 +1,47 @@
+// This folder is a deliberate copy of 66.ConditionalRendering/src/states:
+// the apps share no code, so apply every fix to both copies.
+import React from "react";
+import { Match, Switch } from "./Switch";
+import Skeleton from "./Skeleton";
+import EmptyState from "./EmptyState";
+import "./states.css";
+
+const isEmptyData = (data) =>
+  data === null ||
+  data === undefined ||
+  (Array.isArray(data) && data.length === 0);
+
+const defaultError = (error, retry) => (
+  <div className="state-error" role="alert">
+    <p>{error.message}</p>
+    {retry && <button onClick={retry}>Retry</button>}
+  </div>
+);
+
+// Picks the loading, error, empty or success view for one piece of async
+// data, in that order. `children` is a function of the data.
+//
+// <Async isLoading={isLoading} error={error} data={posts} onRetry={refetch}>
+//   {(posts) => <PostList posts={posts} />}
+// </Async>
+function Async({
+  isLoading,
+  error,
+  data,
+  onRetry,
+  loading = <Skeleton count={3} />,
+  renderError = defaultError,
+  empty = <EmptyState title="Nothing here yet" />,
+  isEmpty = isEmptyData,
+  children,
+}) {
+  return (
+    <Switch fallback={() => children(data)}>
+      <Match when={isLoading}>{loading}</Match>
+      <Match when={error}>{(err) => renderError(err, onRetry)}</Match>
+      <Match when={isEmpty(data)}>{empty}</Match>
+    </Switch>
+  );
+}
+
+export default Async;
@@ -0,0 +1,57 @@
+import React from "react";
+import "./states.css";
+
+const changed = (a = [], b = []) =>
+  a.length !== b.length || a.some((item, i) => !Object.is(item, b[i]));
+
+// Catches render errors below it and shows `fallback` instead: a node, or a
+// function given { error, reset }. reset() calls `onReset` (e.g. to refetch)
+// and renders the children again. A change in `resetKeys` resets as well.
+class ErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { error: null };
+    this.reset = this.reset.bind(this);
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    this.props.onError?.(error, info);
+  }
+
+  componentDidUpdate(prevProps) {
+    if (
+      this.state.error &&
+      changed(prevProps.resetKeys, this.props.resetKeys)
+    ) {
+      this.reset();
+    }
+  }
+
+  reset() {
+    this.props.onReset?.();
+    this.setState({ error: null });
+  }
+
+  render() {
+    const { error } = this.state;
+    const { fallback, children } = this.props;
+    if (!error) return children;
+
+    if (typeof fallback === "function")
+      return fallback({ error, reset: this.reset });
+    if (fallback !== undefined) return fallback;
+    return (
+      <div className="state-error" role="alert">
+        <p>Something went wrong.</p>
+        <p>{error.message}</p>
+        <button onClick={this.reset}>Try again</button>
+      </div>
+    );
+  }
+}
+
+export default ErrorBoundary;
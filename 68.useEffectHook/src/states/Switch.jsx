@@ -0,0 +1,19 @@
+import { Children, isValidElement } from "react";
+
+// One branch of a <Switch>. `children` may be a function, called with the
+// truthy `when` value, so it only runs once the branch is chosen.
+function Match({ when, children }) {
+  return typeof children === "function" ? children(when) : children;
+}
+
+// Renders the first <Match> whose `when` is truthy, or `fallback` (a node,
+// or a function called lazily) when none is.
+function Switch({ fallback = null, children }) {
+  const match = Children.toArray(children).find(
+    (child) => isValidElement(child) && child.props.when
+  );
+  if (match) return match;
+  return typeof fallback === "function" ? fallback() : fallback;
+}
+
+export { Switch, Match };
@@ -0,0 +1,13 @@
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// 83456 -> "01:23.456"; hours are shown only when needed.
+const formatTime = (ms) => {
+  const total = Math.max(0, Math.floor(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  const time = `${pad(minutes)}:${pad(seconds)}.${pad(total % 1000, 3)}`;
+  return hours ? `${hours}:${time}` : time;
+};
+
+export default formatTime;
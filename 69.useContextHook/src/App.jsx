@@ -1,27 +1,18 @@
-import React, { createContext, useContext, useState } from "react";
+import React from "react";
 import ChildA from "./components/ChildA";
+import AppProviders from "./context/AppProviders";
 import "./App.css";
 
-// const UserContext = createContext();
-const ThemeContext = createContext();
-
 function App() {
-  // const [value, setValue] = useState("Hello this is UserContext");
-  const [theme, setTheme] = useState("light");
   return (
     <>
-      <ThemeContext.Provider value={{ theme, setTheme }}>
-        <div
-          id="container"
-          style={{ background: theme === "light" ? "beige" : "black" }}
-        >
+      <AppProviders>
+        <div id="container">
           <ChildA />
         </div>
-      </ThemeContext.Provider>
+      </AppProviders>
     </>
   );
 }
 
 export default App;
-
-export { ThemeContext };
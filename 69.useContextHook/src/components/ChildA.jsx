@@ -1,9 +1,36 @@
-import React from "react";
+import React, { useState } from "react";
 import ChildB from "./ChildB";
+import LikeButton from "./LikeButton";
+import { useUser } from "../context/UserContext";
 
+// ChildA consumes UserContext
 function ChildA() {
+  const { user, login, logout } = useUser();
+  const [name, setName] = useState("");
+
+  const handleLogin = (e) => {
+    e.preventDefault();
+    if (name.trim()) login(name.trim());
+  };
+
   return (
-    <div>
+    <div className="child-a">
+      {user ? (
+        <div className="user">
+          <p>Hello, {user.name}</p>
+          <button onClick={logout}>Log Out</button>
+        </div>
+      ) : (
+        <form className="user" onSubmit={handleLogin}>
+          <input
+            value={name}
+            placeholder="Your name"
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button type="submit">Log In</button>
+        </form>
+      )}
+      <LikeButton />
       <ChildB />
     </div>
   );
@@ -1,9 +1,23 @@
 import React from "react";
 import ChildC from "./ChildC";
+import { useLocale } from "../context/LocaleContext";
 
+// ChildB consumes LocaleContext
 function ChildB() {
+  const { locale, setLocale, locales, formatDate, formatCurrency } =
+    useLocale();
+
   return (
-    <div>
+    <div className="child-b">
+      <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {Object.entries(locales).map(([code, { label }]) => (
+          <option key={code} value={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <p>{formatDate(new Date())}</p>
+      <p>{formatCurrency(1234567.5)}</p>
       <ChildC />
     </div>
   );
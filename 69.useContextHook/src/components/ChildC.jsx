@@ -1,19 +1,24 @@
-import React, { useContext } from "react";
-import { ThemeContext } from "../App";
+import React from "react";
+import { useTheme } from "../theme/useTheme";
 
+// ChildC consumes the theme slice of the app store
 function ChildC() {
-  const { theme, setTheme } = useContext(ThemeContext);
+  // theme changes re-render this picker; likes live in another slice
+  const { mode, setMode, themes } = useTheme();
 
-  const handleClick = () => {
-    if (theme === "light") {
-      setTheme("dark");
-    } else {
-      setTheme("light");
-    }
-  };
   return (
-    <div>
-      <button onClick={handleClick}>Changet Theme</button>
+    <div className="theme-picker" role="radiogroup" aria-label="Theme">
+      {["system", ...Object.keys(themes)].map((name) => (
+        <button
+          key={name}
+          role="radio"
+          aria-checked={mode === name}
+          className={mode === name ? "active" : ""}
+          onClick={() => setMode(name)}
+        >
+          {name === "system" ? "System" : themes[name].label}
+        </button>
+      ))}
     </div>
   );
 }
@@ -0,0 +1,11 @@
+import React from "react";
+import { useStore } from "../store/StoreContext";
+
+function LikeButton() {
+  const likes = useStore((state) => state.likes);
+  const like = useStore((state) => state.like);
+
+  return <button onClick={like}>👍 {likes}</button>;
+}
+
+export default LikeButton;
@@ -0,0 +1,18 @@
+import React from "react";
+import AppStoreProvider from "../store/AppStoreProvider";
+import LocaleProvider from "./LocaleProvider";
+import UserProvider from "./UserProvider";
+
+// Every app-wide provider in one place, so App (and any test or story)
+// only has to wrap a single component.
+function AppProviders({ children }) {
+  return (
+    <AppStoreProvider>
+      <LocaleProvider>
+        <UserProvider>{children}</UserProvider>
+      </LocaleProvider>
+    </AppStoreProvider>
+  );
+}
+
+export default AppProviders;
@@ -0,0 +1,9 @@
+import { createContext } from "react";
+import useRequiredContext from "./useRequiredContext";
+
+const LocaleContext = createContext(null);
+
+const useLocale = () =>
+  useRequiredContext(LocaleContext, "useLocale", "LocaleProvider");
+
+export { LocaleContext, useLocale };
@@ -0,0 +1,34 @@
+import React, { useMemo, useState } from "react";
+import { LocaleContext } from "./LocaleContext";
+
+const locales = {
+  "en-IN": { label: "English (India)", currency: "INR" },
+  "hi-IN": { label: "हिन्दी", currency: "INR" },
+  "en-US": { label: "English (US)", currency: "USD" },
+};
+
+function LocaleProvider({ children, initialLocale = "en-IN" }) {
+  const [locale, setLocale] = useState(initialLocale);
+
+  const value = useMemo(() => {
+    const { currency } = locales[locale];
+    const number = new Intl.NumberFormat(locale);
+    const money = new Intl.NumberFormat(locale, { style: "currency", currency });
+    const date = new Intl.DateTimeFormat(locale, { dateStyle: "medium" });
+
+    return {
+      locale,
+      setLocale,
+      locales,
+      formatNumber: (n) => number.format(n),
+      formatCurrency: (n) => money.format(n),
+      formatDate: (d) => date.format(d),
+    };
+  }, [locale]);
+
+  return (
+    <LocaleContext.Provider value={value}>{children}</LocaleContext.Provider>
+  );
+}
+
+export default LocaleProvider;
@@ -0,0 +1,8 @@
+import { createContext } from "react";
+import useRequiredContext from "./useRequiredContext";
+
+const UserContext = createContext(null);
+
+const useUser = () => useRequiredContext(UserContext, "useUser", "UserProvider");
+
+export { UserContext, useUser };
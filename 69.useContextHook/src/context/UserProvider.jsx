@@ -0,0 +1,15 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { UserContext } from "./UserContext";
+
+function UserProvider({ children }) {
+  const [user, setUser] = useState(null);
+
+  const login = useCallback((name) => setUser({ name, since: new Date() }), []);
+  const logout = useCallback(() => setUser(null), []);
+
+  const value = useMemo(() => ({ user, login, logout }), [user, login, logout]);
+
+  return <UserContext.Provider value={value}>{children}</UserContext.Provider>;
+}
+
+export default UserProvider;
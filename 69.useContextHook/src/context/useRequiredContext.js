@@ -0,0 +1,16 @@
+import { useContext } from "react";
+
+// Reads a context whose default is `null` and fails loudly when no Provider
+// is above the caller, instead of handing back undefined fields.
+function useRequiredContext(Context, hookName, providerName) {
+  const value = useContext(Context);
+  if (value === null) {
+    throw new Error(
+      `${hookName}() was called outside <${providerName}>. ` +
+        `Wrap the component tree in <${providerName}> (see AppProviders).`
+    );
+  }
+  return value;
+}
+
+export default useRequiredContext;
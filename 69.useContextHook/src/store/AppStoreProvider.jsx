@@ -0,0 +1,19 @@
+import React, { useState } from "react";
+import { StoreContext } from "./StoreContext";
+import createAppStore from "./appStore";
+import ThemeSync from "../theme/ThemeSync";
+
+function AppStoreProvider({ children }) {
+  // the store object never changes, so the Provider value never triggers
+  // a re-render; components update through their own subscriptions
+  const [store] = useState(createAppStore);
+
+  return (
+    <StoreContext.Provider value={store}>
+      <ThemeSync />
+      {children}
+    </StoreContext.Provider>
+  );
+}
+
+export default AppStoreProvider;
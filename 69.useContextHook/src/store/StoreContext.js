@@ -0,0 +1,41 @@
+import { createContext, useRef, useSyncExternalStore } from "react";
+import useRequiredContext from "../context/useRequiredContext";
+
+const StoreContext = createContext(null);
+
+const identity = (state) => state;
+
+function shallow(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => Object.is(a[key], b[key]))
+  );
+}
+
+function useStoreApi() {
+  return useRequiredContext(StoreContext, "useStore", "AppStoreProvider");
+}
+
+// Subscribes to `selector(state)`. The component re-renders only when the
+// selected value changes according to `isEqual` (pass `shallow` when the
+// selector builds a new object or array).
+function useStore(selector = identity, isEqual = Object.is) {
+  const store = useStoreApi();
+  const cache = useRef(null);
+
+  const getSnapshot = () => {
+    const selected = selector(store.getState());
+    if (cache.current && isEqual(cache.current.value, selected)) {
+      return cache.current.value;
+    }
+    cache.current = { value: selected };
+    return selected;
+  };
+
+  return useSyncExternalStore(store.subscribe, getSnapshot);
+}
+
+export { StoreContext, useStore, useStoreApi, shallow };
@@ -0,0 +1,35 @@
+import createStore from "./createStore";
+import { logger, persist } from "./middleware";
+import { DARK_QUERY, themes } from "../theme/themes";
+
+// Before the store, ThemeProvider saved the mode under "theme". It seeds the
+// initial mode so that choice survives; once the store has saved its own
+// state, persist restores that over it.
+const readLegacyMode = () => {
+  const saved = localStorage.getItem("theme");
+  return saved === "system" || themes[saved] ? saved : "system";
+};
+
+const createAppStore = () =>
+  createStore(
+    (set) => ({
+      // theme slice
+      mode: readLegacyMode(),
+      prefersDark: window.matchMedia(DARK_QUERY).matches,
+      setMode: (mode) => set({ mode }),
+      setPrefersDark: (prefersDark) => set({ prefersDark }),
+
+      // likes slice, unrelated to the theme
+      likes: 0,
+      like: () => set((state) => ({ likes: state.likes + 1 })),
+    }),
+    [
+      // dev builds only; test runs would drown in state dumps
+      ...(import.meta.env.DEV && import.meta.env.MODE !== "test"
+        ? [logger("app")]
+        : []),
+      persist("app-store", ({ mode, likes }) => ({ mode, likes })),
+    ]
+  );
+
+export default createAppStore;
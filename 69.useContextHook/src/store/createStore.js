@@ -0,0 +1,45 @@
+// A tiny external store: state lives outside React and components read it
+// through useSyncExternalStore, so each one re-renders only for its slice.
+//
+// `initializer` is either the initial state or `(set, get) => state`, which
+// lets actions live next to the data they change. Middleware wraps `set`:
+// `(next, get, api) => (partial) => { ...; next(partial); }`.
+
+function createStore(initializer, middleware = []) {
+  let state;
+  const listeners = new Set();
+
+  const getState = () => state;
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const baseSet = (partial) => {
+    const patch = typeof partial === "function" ? partial(state) : partial;
+    if (Object.keys(patch).every((key) => Object.is(patch[key], state[key]))) {
+      return;
+    }
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener());
+  };
+
+  const api = { getState, subscribe };
+  // first middleware in the list is the outermost wrapper
+  const setState = middleware.reduceRight(
+    (next, wrap) => wrap(next, getState, api),
+    baseSet
+  );
+  api.setState = (partial) => setState(partial);
+
+  state =
+    typeof initializer === "function"
+      ? initializer(api.setState, getState)
+      : initializer;
+  middleware.forEach((wrap) => wrap.init?.(api));
+
+  return api;
+}
+
+export default createStore;
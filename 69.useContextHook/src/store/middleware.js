@@ -0,0 +1,33 @@
+// Middleware for createStore. Each one wraps the store's `set`.
+
+function logger(name = "store") {
+  return (next, get) => (partial) => {
+    const prev = get();
+    next(partial);
+    console.log(`[${name}]`, prev, "->", get());
+  };
+}
+
+// Saves the keys returned by `pick` after every update and restores them
+// when the store is created.
+function persist(key, pick = (state) => state) {
+  const save = (state) => localStorage.setItem(key, JSON.stringify(pick(state)));
+
+  const wrap = (next, get) => (partial) => {
+    next(partial);
+    save(get());
+  };
+
+  wrap.init = (api) => {
+    try {
+      const saved = JSON.parse(localStorage.getItem(key));
+      if (saved) api.setState(saved);
+    } catch {
+      localStorage.removeItem(key);
+    }
+  };
+
+  return wrap;
+}
+
+export { logger, persist };
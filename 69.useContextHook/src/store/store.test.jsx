@@ -0,0 +1,166 @@
+import React, { Profiler } from "react";
+import { describe, expect, it } from "vitest";
+import {
+  act,
+  fireEvent,
+  render,
+  renderHook,
+  screen,
+} from "@testing-library/react";
+import AppStoreProvider from "./AppStoreProvider";
+import createAppStore from "./appStore";
+import createStore from "./createStore";
+import { persist } from "./middleware";
+import { StoreContext, shallow, useStore } from "./StoreContext";
+import ChildC from "../components/ChildC";
+import LikeButton from "../components/LikeButton";
+import ThemeProvider from "../theme/ThemeProvider";
+import { useTheme } from "../theme/useTheme";
+
+const withStore = (store) =>
+  function Wrapper({ children }) {
+    return (
+      <StoreContext.Provider value={store}>{children}</StoreContext.Provider>
+    );
+  };
+
+describe("app store subscriptions", () => {
+  it("does not re-render ChildC when the likes slice changes", () => {
+    let renders = 0;
+    render(
+      <AppStoreProvider>
+        <Profiler id="ChildC" onRender={() => renders++}>
+          <ChildC />
+        </Profiler>
+        <LikeButton />
+      </AppStoreProvider>
+    );
+    const before = renders;
+
+    fireEvent.click(screen.getByRole("button", { name: /👍/ }));
+
+    expect(screen.getByRole("button", { name: /👍/ }).textContent).toBe("👍 1");
+    expect(renders).toBe(before);
+  });
+
+  it("re-renders ChildC when its own slice changes", () => {
+    let renders = 0;
+    render(
+      <AppStoreProvider>
+        <Profiler id="ChildC" onRender={() => renders++}>
+          <ChildC />
+        </Profiler>
+      </AppStoreProvider>
+    );
+    const before = renders;
+
+    fireEvent.click(screen.getByRole("radio", { name: "Dark" }));
+
+    expect(renders).toBeGreaterThan(before);
+  });
+});
+
+describe("useStore", () => {
+  it("keeps the previous object when a shallow-equal selection is rebuilt", () => {
+    const store = createStore({ a: 1, b: 2, other: 0 });
+    let renders = 0;
+    const { result } = renderHook(
+      () => {
+        renders++;
+        return useStore((state) => ({ a: state.a, b: state.b }), shallow);
+      },
+      { wrapper: withStore(store) }
+    );
+    const first = result.current;
+    const rendersBefore = renders;
+
+    act(() => store.setState({ other: 1 }));
+    expect(result.current).toBe(first);
+    expect(renders).toBe(rendersBefore);
+
+    act(() => store.setState({ a: 5 }));
+    expect(result.current).toEqual({ a: 5, b: 2 });
+  });
+
+  it("throws outside a provider", () => {
+    expect(() => renderHook(() => useStore())).toThrow(/AppStoreProvider/);
+  });
+});
+
+describe("persist middleware", () => {
+  it("restores the picked keys on init", () => {
+    localStorage.setItem("test-store", JSON.stringify({ count: 7 }));
+
+    const store = createStore({ count: 0, label: "x" }, [
+      persist("test-store", ({ count }) => ({ count })),
+    ]);
+
+    expect(store.getState()).toEqual({ count: 7, label: "x" });
+  });
+
+  it("saves only the picked keys after an update", () => {
+    const store = createStore({ count: 0, label: "x" }, [
+      persist("test-store", ({ count }) => ({ count })),
+    ]);
+
+    store.setState({ count: 3, label: "y" });
+
+    expect(JSON.parse(localStorage.getItem("test-store"))).toEqual({
+      count: 3,
+    });
+  });
+
+  it("drops unreadable saved data", () => {
+    localStorage.setItem("test-store", "{not json");
+
+    const store = createStore({ count: 0 }, [persist("test-store")]);
+
+    expect(store.getState()).toEqual({ count: 0 });
+    expect(localStorage.getItem("test-store")).toBeNull();
+  });
+});
+
+describe("theme", () => {
+  it("starts from a mode saved under the old theme key", () => {
+    localStorage.setItem("theme", "ocean");
+    expect(createAppStore().getState().mode).toBe("ocean");
+  });
+
+  it("prefers the store's own saved mode over the old key", () => {
+    localStorage.setItem("theme", "ocean");
+    localStorage.setItem("app-store", JSON.stringify({ mode: "forest" }));
+    expect(createAppStore().getState().mode).toBe("forest");
+  });
+
+  it("ignores an unknown old theme", () => {
+    localStorage.setItem("theme", "neon");
+    expect(createAppStore().getState().mode).toBe("system");
+  });
+
+  it("provides the store through ThemeProvider", () => {
+    const { result } = renderHook(() => useTheme(), {
+      wrapper: ThemeProvider,
+    });
+
+    act(() => result.current.setMode("forest"));
+
+    expect(result.current.name).toBe("forest");
+    expect(document.documentElement.dataset.theme).toBe("forest");
+  });
+
+  it("reuses an app store mounted above ThemeProvider", () => {
+    const store = createAppStore();
+    const Outer = withStore(store);
+    const { result } = renderHook(() => useTheme(), {
+      wrapper: ({ children }) => (
+        <Outer>
+          <ThemeProvider>{children}</ThemeProvider>
+        </Outer>
+      ),
+    });
+
+    act(() => result.current.setMode("dark"));
+
+    expect(store.getState().mode).toBe("dark");
+  });
+});
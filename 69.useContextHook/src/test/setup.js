@@ -0,0 +1,16 @@
+import { afterEach } from "vitest";
+import { cleanup } from "@testing-library/react";
+
+// jsdom has no matchMedia; the app store reads the OS colour preference
+// from it when created.
+window.matchMedia = (query) => ({
+  matches: false,
+  media: query,
+  addEventListener() {},
+  removeEventListener() {},
+});
+
+afterEach(() => {
+  cleanup();
+  localStorage.clear();
+});
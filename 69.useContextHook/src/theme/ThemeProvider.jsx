@@ -0,0 +1,14 @@
+import React, { useContext } from "react";
+import AppStoreProvider from "../store/AppStoreProvider";
+import { StoreContext } from "../store/StoreContext";
+
+// The theme now lives in the app store (with ThemeSync applying it), so this
+// provides that store unless one is already mounted above. Existing
+// <ThemeProvider> trees keep working and useTheme reads the same slice.
+function ThemeProvider({ children }) {
+  const store = useContext(StoreContext);
+  if (store) return children;
+  return <AppStoreProvider>{children}</AppStoreProvider>;
+}
+
+export default ThemeProvider;
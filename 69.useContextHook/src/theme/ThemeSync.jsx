@@ -0,0 +1,31 @@
+import { useEffect } from "react";
+import { useStore } from "../store/StoreContext";
+import { selectThemeName } from "./useTheme";
+import { DARK_QUERY, themes, toCssVariables } from "./themes";
+
+// Mirrors the store's theme onto the document: CSS custom properties plus a
+// data-theme attribute. Renders nothing.
+function ThemeSync() {
+  const name = useStore(selectThemeName);
+  const setPrefersDark = useStore((state) => state.setPrefersDark);
+
+  // follow the OS setting live, not just at load
+  useEffect(() => {
+    const query = window.matchMedia(DARK_QUERY);
+    const handleChange = (e) => setPrefersDark(e.matches);
+    query.addEventListener("change", handleChange);
+    return () => query.removeEventListener("change", handleChange);
+  }, [setPrefersDark]);
+
+  useEffect(() => {
+    const root = document.documentElement;
+    toCssVariables(themes[name]).forEach(([property, value]) => {
+      root.style.setProperty(property, value);
+    });
+    root.dataset.theme = name;
+  }, [name]);
+
+  return null;
+}
+
+export default ThemeSync;
@@ -0,0 +1,82 @@
+// Design tokens for every registered theme. Each token becomes a CSS custom
+// property, e.g. colors.background -> --color-background.
+
+const spacing = { xs: "4px", sm: "8px", md: "16px", lg: "24px", xl: "40px" };
+
+const typography = {
+  family: '"Urbanist", sans-serif',
+  size: "16px",
+  buttonSize: "20px",
+  headingSize: "28px",
+};
+
+const themes = {
+  light: {
+    label: "Light",
+    colors: {
+      background: "beige",
+      surface: "white",
+      text: "black",
+      border: "black",
+      primary: "orangered",
+      primaryText: "white",
+    },
+    spacing,
+    typography,
+  },
+  dark: {
+    label: "Dark",
+    colors: {
+      background: "black",
+      surface: "#1e1e1e",
+      text: "white",
+      border: "#555",
+      primary: "orangered",
+      primaryText: "white",
+    },
+    spacing,
+    typography,
+  },
+  ocean: {
+    label: "Ocean",
+    colors: {
+      background: "#0b3954",
+      surface: "#087e8b",
+      text: "#e0f7fa",
+      border: "#bfd7ea",
+      primary: "#ff5a5f",
+      primaryText: "white",
+    },
+    spacing,
+    typography,
+  },
+  forest: {
+    label: "Forest",
+    colors: {
+      background: "#e9f5db",
+      surface: "#cfe1b9",
+      text: "#283618",
+      border: "#606c38",
+      primary: "#606c38",
+      primaryText: "#fefae0",
+    },
+    spacing: { ...spacing, md: "20px" },
+    typography: { ...typography, family: '"Poppins", sans-serif' },
+  },
+};
+
+const DARK_QUERY = "(prefers-color-scheme: dark)";
+
+const groups = { colors: "color", spacing: "spacing", typography: "font" };
+
+const kebab = (name) => name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+const toCssVariables = (theme) =>
+  Object.entries(groups).flatMap(([group, prefix]) =>
+    Object.entries(theme[group]).map(([name, value]) => [
+      `--${prefix}-${kebab(name)}`,
+      value,
+    ])
+  );
+
+export { themes, toCssVariables, DARK_QUERY };
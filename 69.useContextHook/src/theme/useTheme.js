@@ -0,0 +1,18 @@
+import { useStore } from "../store/StoreContext";
+import { themes } from "./themes";
+
+// "system" (or a stale saved name) resolves through the OS preference.
+const selectThemeName = ({ mode, prefersDark }) => {
+  if (mode !== "system" && themes[mode]) return mode;
+  return prefersDark ? "dark" : "light";
+};
+
+function useTheme() {
+  const mode = useStore((state) => state.mode);
+  const setMode = useStore((state) => state.setMode);
+  const name = useStore(selectThemeName);
+
+  return { mode, setMode, name, theme: themes[name], themes };
+}
+
+export { useTheme, selectThemeName };
@@ -0,0 +1,79 @@
+// Verifies that `vite build` emitted a separate chunk for every lazy route
+// and kept the mock data out of the entry chunk.
+// Run through `npm run check:chunks`, which builds with a manifest first.
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const manifestPath = fileURLToPath(
+  new URL("../dist/.vite/manifest.json", import.meta.url)
+);
+const distPath = (file) =>
+  fileURLToPath(new URL(`../dist/${file}`, import.meta.url));
+
+const pages = [
+  "src/components/About.jsx",
+  "src/components/DashBoard.jsx",
+  "src/components/Courses.jsx",
+  "src/components/MockTest.jsx",
+  "src/components/MockTestRunner.jsx",
+  "src/components/Reports.jsx",
+  "src/components/ParamComponent.jsx",
+];
+
+// A string from each fixture that only occurs in its data.
+const fixtures = {
+  "src/data/courses.json": "Kubernetes Projects",
+  "src/data/mockTests.json": "What does JSX compile to?",
+};
+
+let manifest;
+try {
+  manifest = JSON.parse(readFileSync(manifestPath, "utf8"));
+} catch {
+  console.error(
+    `Could not read ${manifestPath}. Run "vite build --manifest" first.`
+  );
+  process.exit(1);
+}
+
+const entry = Object.values(manifest).find((chunk) => chunk.isEntry);
+const failures = [];
+const seen = new Map();
+
+for (const page of pages) {
+  const chunk = manifest[page];
+  if (!chunk) {
+    failures.push(`${page}: no chunk in manifest`);
+    continue;
+  }
+  if (!chunk.isDynamicEntry) {
+    failures.push(`${page}: not emitted as a dynamic (lazy) chunk`);
+  }
+  if (chunk.file === entry?.file) {
+    failures.push(`${page}: bundled into the main entry`);
+  }
+  if (seen.has(chunk.file)) {
+    failures.push(`${page}: shares ${chunk.file} with ${seen.get(chunk.file)}`);
+  }
+  seen.set(chunk.file, page);
+}
+
+const entrySource = entry ? readFileSync(distPath(entry.file), "utf8") : "";
+for (const [fixture, marker] of Object.entries(fixtures)) {
+  if (entrySource.includes(marker)) {
+    failures.push(`${fixture}: bundled into the main entry`);
+  } else if (!manifest[fixture]) {
+    failures.push(`${fixture}: no chunk in manifest`);
+  }
+}
+
+if (failures.length) {
+  console.error("Route chunk check failed:");
+  failures.forEach((failure) => console.error(`  - ${failure}`));
+  process.exit(1);
+}
+
+pages.forEach((page) => console.log(`✓ ${page} -> ${manifest[page].file}`));
+Object.keys(fixtures).forEach((fixture) =>
+  console.log(`✓ ${fixture} -> ${manifest[fixture].file}`)
+);
@@ -1,66 +1,92 @@
-import React, { Children } from "react";
+import React from "react";
 import { createBrowserRouter, RouterProvider } from "react-router-dom";
 import Home from "./components/Home";
-import About from "./components/About";
-import DashBoard from "./components/DashBoard";
-import NavBar from "./components/NavBar";
-import ParamComponent from "./components/ParamComponent";
-import Courses from "./components/Courses";
-import MockTest from "./components/MockTest";
-import Reports from "./components/Reports";
+import Layout from "./components/Layout";
+import Login from "./components/Login";
+import RequireAuth from "./components/RequireAuth";
 import NotFound from "./components/NotFound";
+import PageFallback from "./components/PageFallback";
+import RouteError from "./components/RouteError";
+import AuthProvider from "./context/AuthProvider";
+import I18nProvider from "./i18n/I18nProvider";
+import { languages, localizePath } from "./i18n/config";
+import {
+  requireAuthLoader,
+  protect,
+  coursesLoader,
+  mockTestsLoader,
+  mockTestLoader,
+  reportsLoader,
+  studentLoader,
+} from "./api/loaders";
+import { lazyPage } from "./routes/pages";
 
-const router = createBrowserRouter([
+// Pages shared by every language root ("/" and "/hi").
+const pageRoutes = [
+  {
+    index: true,
+    element: <Home />,
+  },
   {
-    path: "/",
-    element: (
-      <div>
-        <Home />
-        <NavBar />
-      </div>
-    ),
+    path: "about",
+    lazy: lazyPage("about"),
   },
   {
-    path: "/about",
-    element: (
-      <div>
-        <About />
-        <NavBar />
-      </div>
-    ),
+    path: "login",
+    element: <Login />,
   },
   {
-    path: "/dashboard",
-    element: (
-      <div>
-        <DashBoard />
-        <NavBar />
-      </div>
-    ),
+    element: <RequireAuth />,
+    loader: requireAuthLoader,
     children: [
       {
-        path: "courses",
-        element: <Courses />,
-      },
-      {
-        path: "mocktest",
-        element: <MockTest />,
+        path: "dashboard",
+        lazy: lazyPage("dashboard"),
+        children: [
+          {
+            path: "courses",
+            lazy: lazyPage("courses"),
+            loader: protect(coursesLoader),
+            errorElement: <RouteError />,
+          },
+          {
+            path: "mocktest",
+            lazy: lazyPage("mocktest"),
+            loader: protect(mockTestsLoader),
+            errorElement: <RouteError />,
+          },
+          {
+            path: "mocktest/:testId",
+            lazy: lazyPage("mocktestRunner"),
+            loader: protect(mockTestLoader),
+            errorElement: <RouteError />,
+          },
+          {
+            path: "reports",
+            lazy: lazyPage("reports"),
+            loader: protect(reportsLoader),
+            errorElement: <RouteError />,
+          },
+        ],
       },
       {
-        path: "reports",
-        element: <Reports />,
+        path: "student/:id",
+        lazy: lazyPage("student"),
+        loader: protect(studentLoader),
+        errorElement: <RouteError />,
       },
     ],
   },
-  {
-    path: "/student/:id",
-    element: (
-      <div>
-        <NavBar />
-        <ParamComponent />
-      </div>
-    ),
-  },
+];
+
+const router = createBrowserRouter([
+  ...Object.keys(languages).map((language) => ({
+    path: localizePath("/", language),
+    element: <Layout language={language} />,
+    errorElement: <RouteError />,
+    hydrateFallbackElement: <PageFallback />,
+    children: pageRoutes,
+  })),
   {
     path: "*",
     element: <NotFound />,
@@ -70,7 +96,11 @@ const router = createBrowserRouter([
 function App() {
   return (
     <div>
-      <RouterProvider router={router} />
+      <I18nProvider>
+        <AuthProvider>
+          <RouterProvider router={router} />
+        </AuthProvider>
+      </I18nProvider>
     </div>
   );
 }
@@ -0,0 +1,60 @@
+import { redirect } from "react-router-dom";
+import { readSession } from "../context/session";
+import { localizePath, splitLanguage } from "../i18n/config";
+import {
+  getCourses,
+  getMockTests,
+  getMockTest,
+  getAttempts,
+  getStudent,
+} from "./mockApi";
+
+// Matched loaders run in parallel, so the guard route's loader alone cannot
+// keep its children from calling the API; `protect` checks in each of them.
+// Login gets the requested page through ?from= since a redirect has no state.
+const requireAuth = (request) => {
+  if (readSession()?.user) return;
+  const { pathname, search } = new URL(request.url);
+  const { language } = splitLanguage(pathname);
+  const params = new URLSearchParams({ from: pathname + search });
+  throw redirect(`${localizePath("/login", language)}?${params}`);
+};
+
+const requireAuthLoader = ({ request }) => {
+  requireAuth(request);
+  return null;
+};
+
+const protect = (loader) => (args) => {
+  requireAuth(args.request);
+  return loader(args);
+};
+
+const coursesLoader = ({ request }) => {
+  const params = new URL(request.url).searchParams;
+  return getCourses({
+    q: params.get("q") ?? "",
+    category: params.get("category") ?? "",
+    sort: params.get("sort") ?? "title",
+    dir: params.get("dir") ?? "asc",
+    page: Number(params.get("page")) || 1,
+  });
+};
+
+const mockTestsLoader = () => getMockTests();
+
+const mockTestLoader = ({ params }) => getMockTest(params.testId);
+
+const reportsLoader = () => getAttempts();
+
+const studentLoader = ({ params }) => getStudent(params.id);
+
+export {
+  requireAuthLoader,
+  protect,
+  coursesLoader,
+  mockTestsLoader,
+  mockTestLoader,
+  reportsLoader,
+  studentLoader,
+};
@@ -0,0 +1,190 @@
+import { data } from "react-router-dom";
+import { loadResults } from "../exam/attemptStorage";
+
+// Small in-memory backend so the route loaders have something async to call.
+
+const LATENCY = 400;
+
+const students = [
+  { id: "1", name: "Deepak", email: "deepak@example.com", courses: [12, 46] },
+  { id: "2", name: "Ajay", email: "ajay@example.com", courses: [3, 7] },
+  { id: "3", name: "Rahul", email: "rahul@example.com", courses: [27, 9] },
+];
+
+// Past attempts in the same shape the exam runner stores, so Reports has
+// history to aggregate before anyone has taken a test in this browser.
+const seedRows = [
+  { student: "Deepak", testId: "react-basics", score: 8, minutes: 11, date: "2025-07-02" },
+  { student: "Ajay", testId: "dsa-arrays", score: 5, minutes: 22, date: "2025-07-03" },
+  { student: "Rahul", testId: "react-basics", score: 6, minutes: 14, date: "2025-07-05" },
+  { student: "Deepak", testId: "hooks", score: 9, minutes: 17, date: "2025-07-09" },
+  { student: "Ajay", testId: "react-basics", score: 7, minutes: 12, date: "2025-07-11" },
+  { student: "Rahul", testId: "hooks", score: 7, minutes: 19, date: "2025-07-14" },
+  { student: "Deepak", testId: "dsa-arrays", score: 7, minutes: 20, date: "2025-07-16" },
+  { student: "Ajay", testId: "hooks", score: 10, minutes: 18, date: "2025-07-18" },
+  { student: "Rahul", testId: "react-basics", score: 9, minutes: 10, date: "2025-07-21" },
+];
+
+const buildSeedAttempt = (row, n, mockTests) => {
+  const { student, testId, score, minutes, date } = row;
+  const test = mockTests.find((t) => t.id === testId);
+  const total = test.questions.length;
+  const startedAt = Date.parse(date);
+  return {
+    id: `seed-${n}`,
+    testId,
+    student,
+    startedAt,
+    submittedAt: startedAt + minutes * 60 * 1000,
+    timeSpentMs: minutes * 60 * 1000,
+    score,
+    total,
+    // spread the correct answers across topics instead of the first `score`
+    questions: test.questions.map((q, i) => ({
+      questionId: q.id,
+      topic: q.topic,
+      answered: true,
+      correct: (i * 7 + n) % total < score,
+      given: null,
+    })),
+  };
+};
+
+// The fixtures are large, so they are imported on the first request instead
+// of riding along in the entry chunk with the loaders that call this file.
+let fixtures = null;
+
+const loadFixtures = () => {
+  if (!fixtures) {
+    fixtures = Promise.all([
+      import("../data/courses.json"),
+      import("../data/mockTests.json"),
+    ]).then(([{ default: courses }, { default: mockTests }]) => ({
+      courses,
+      mockTests,
+      courseCategories: [...new Set(courses.map((c) => c.category))].sort(),
+      seedAttempts: seedRows.map((row, n) =>
+        buildSeedAttempt(row, n, mockTests)
+      ),
+    }));
+    fixtures.catch(() => {
+      fixtures = null;
+    });
+  }
+  return fixtures;
+};
+
+const respond = (value) =>
+  new Promise((resolve) => setTimeout(() => resolve(value), LATENCY));
+
+const COURSE_SORT_KEYS = ["title", "category", "level", "lessons", "rating"];
+const COURSE_PAGE_SIZE = 20;
+
+const getCourses = async ({
+  q = "",
+  category = "",
+  sort = "title",
+  dir = "asc",
+  page = 1,
+} = {}) => {
+  const { courses, courseCategories } = await loadFixtures();
+  const needle = q.trim().toLowerCase();
+  const key = COURSE_SORT_KEYS.includes(sort) ? sort : "title";
+  const direction = dir === "desc" ? -1 : 1;
+
+  const matches = courses
+    .filter((c) => !category || c.category === category)
+    .filter(
+      (c) =>
+        !needle ||
+        c.title.toLowerCase().includes(needle) ||
+        c.instructor.toLowerCase().includes(needle)
+    )
+    .sort((a, b) => {
+      const order =
+        typeof a[key] === "number"
+          ? a[key] - b[key]
+          : a[key].localeCompare(b[key]);
+      return order * direction || a.id - b.id;
+    });
+
+  const pages = Math.max(1, Math.ceil(matches.length / COURSE_PAGE_SIZE));
+  const current = Math.min(Math.max(1, page), pages);
+  const start = (current - 1) * COURSE_PAGE_SIZE;
+
+  return respond({
+    items: matches.slice(start, start + COURSE_PAGE_SIZE),
+    total: matches.length,
+    page: current,
+    pages,
+    categories: courseCategories,
+  });
+};
+
+const getMockTests = async () => {
+  const { mockTests } = await loadFixtures();
+  return respond(
+    mockTests.map(({ id, title, minutes, questions }) => ({
+      id,
+      title,
+      minutes,
+      questions: questions.length,
+    }))
+  );
+};
+
+const getMockTest = async (testId) => {
+  const { mockTests } = await loadFixtures();
+  const test = mockTests.find((t) => t.id === testId);
+  if (!test) {
+    await respond(null);
+    throw data(`No mock test with id "${testId}"`, { status: 404 });
+  }
+  return respond(test);
+};
+
+const findStudent = (key) =>
+  students.find(
+    (s) => s.id === key || s.name.toLowerCase() === String(key).toLowerCase()
+  );
+
+// Attempts are stored against the signed-in name; known names resolve to a
+// seeded student, anyone else is keyed by their name.
+const allAttempts = async () => {
+  const { mockTests, seedAttempts } = await loadFixtures();
+  return [...seedAttempts, ...loadResults()]
+    .map((attempt) => {
+      const student = findStudent(attempt.student);
+      const test = mockTests.find((t) => t.id === attempt.testId);
+      return {
+        ...attempt,
+        studentId: student?.id ?? attempt.student,
+        studentName: student?.name ?? attempt.student,
+        testTitle: test?.title ?? attempt.testId,
+      };
+    })
+    .sort((a, b) => a.submittedAt - b.submittedAt);
+};
+
+const getAttempts = async () => respond(await allAttempts());
+
+const getStudent = async (id) => {
+  const { courses } = await loadFixtures();
+  const attempts = (await allAttempts()).filter((a) => a.studentId === id);
+  const student =
+    students.find((s) => s.id === id) ??
+    (attempts.length
+      ? { id, name: attempts[0].studentName, email: null, courses: [] }
+      : null);
+  if (!student) {
+    await respond(null);
+    throw data(`No student with id "${id}"`, { status: 404 });
+  }
+  return respond({
+    ...student,
+    courses: student.courses.map((id) => courses.find((c) => c.id === id)),
+    attempts,
+  });
+};
+
+export { getCourses, getMockTests, getMockTest, getAttempts, getStudent };
@@ -1,16 +1,18 @@
 import React from "react";
 import { useNavigate } from "react-router-dom";
+import { useTranslation } from "../i18n/I18nContext";
 
 const About = () => {
   const navigate = useNavigate();
+  const { t, localize } = useTranslation();
 
   const handler = () => {
-    navigate("/dashboard");
+    navigate(localize("/dashboard"));
   };
   return (
     <div>
-      <h1>About</h1>
-      <button onClick={handler}>Move to About Page</button>
+      <h1>{t("about.title")}</h1>
+      <button onClick={handler}>{t("about.toDashboard")}</button>
     </div>
   );
 };
@@ -1,9 +1,131 @@
-import React from "react";
+import React, { useEffect, useRef } from "react";
+import { Link, useLoaderData, useSearchParams } from "react-router-dom";
+import { useTranslation } from "../i18n/I18nContext";
+
+const columns = ["title", "category", "level", "lessons", "rating"];
+
+// Returns a query string with `updates` applied; empty values and defaults
+// are dropped so shared links stay short.
+const withParams = (searchParams, updates) => {
+  const next = new URLSearchParams(searchParams);
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value === "" || value == null) {
+      next.delete(key);
+    } else {
+      next.set(key, value);
+    }
+  });
+  if (next.get("page") === "1") next.delete("page");
+  if (next.get("dir") === "asc") next.delete("dir");
+  return `?${next.toString()}`;
+};
 
 const Courses = () => {
+  const { items, total, page, pages, categories } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const inputRef = useRef(null);
+  const { t } = useTranslation();
+
+  const q = searchParams.get("q") ?? "";
+  const category = searchParams.get("category") ?? "";
+  const sort = searchParams.get("sort") ?? "title";
+  const dir = searchParams.get("dir") === "desc" ? "desc" : "asc";
+
+  // keep the search box in sync when back/forward changes the URL
+  useEffect(() => {
+    if (inputRef.current) inputRef.current.value = q;
+  }, [q]);
+
+  const handleSearch = (e) => {
+    // typing replaces the current entry instead of stacking one per keystroke
+    setSearchParams(withParams(searchParams, { q: e.target.value, page: "" }), {
+      replace: q !== "",
+    });
+  };
+
+  const handleCategory = (e) => {
+    setSearchParams(
+      withParams(searchParams, { category: e.target.value, page: "" })
+    );
+  };
+
+  const sortLink = (key) =>
+    withParams(searchParams, {
+      sort: key,
+      dir: sort === key && dir === "asc" ? "desc" : "asc",
+      page: "",
+    });
+
   return (
-    <div>
-      <h1>Courses Section</h1>
+    <div className="courses">
+      <h1>{t("courses.title")}</h1>
+      <div className="toolbar">
+        <input
+          ref={inputRef}
+          type="search"
+          placeholder={t("courses.search")}
+          defaultValue={q}
+          onChange={handleSearch}
+        />
+        <select value={category} onChange={handleCategory}>
+          <option value="">{t("courses.allCategories")}</option>
+          {categories.map((c) => (
+            <option key={c} value={c}>
+              {c}
+            </option>
+          ))}
+        </select>
+        <span>{t("courses.count", { count: total })}</span>
+      </div>
+      <table className="table">
+        <thead>
+          <tr>
+            {columns.map((key) => (
+              <th key={key} aria-sort={sort === key ? `${dir}ending` : "none"}>
+                <Link to={sortLink(key)}>
+                  {t(`courses.columns.${key}`)}
+                  {sort === key && (dir === "asc" ? " ▲" : " ▼")}
+                </Link>
+              </th>
+            ))}
+            <th>{t("courses.columns.instructor")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((course) => (
+            <tr key={course.id}>
+              <td>{course.title}</td>
+              <td>{course.category}</td>
+              <td>{course.level}</td>
+              <td>{course.lessons}</td>
+              <td>{course.rating}</td>
+              <td>{course.instructor}</td>
+            </tr>
+          ))}
+          {items.length === 0 && (
+            <tr>
+              <td colSpan={columns.length + 1}>{t("courses.empty")}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+      <div className="pager">
+        {page > 1 ? (
+          <Link to={withParams(searchParams, { page: page - 1 })}>
+            {t("common.previous")}
+          </Link>
+        ) : (
+          <span>{t("common.previous")}</span>
+        )}
+        <span>{t("common.page", { page, pages })}</span>
+        {page < pages ? (
+          <Link to={withParams(searchParams, { page: page + 1 })}>
+            {t("common.next")}
+          </Link>
+        ) : (
+          <span>{t("common.next")}</span>
+        )}
+      </div>
     </div>
   );
 };
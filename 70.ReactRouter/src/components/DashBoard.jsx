@@ -1,14 +1,34 @@
 import React from "react";
-import { Outlet, useNavigate } from "react-router-dom";
+import { NavLink, Outlet, useNavigate } from "react-router-dom";
+import { useTranslation } from "../i18n/I18nContext";
+import { prefetchOn } from "../routes/pages";
+
+const sections = ["courses", "mocktest", "reports"];
 
 const DashBoard = () => {
   const navigate = useNavigate();
+  const { t, localize } = useTranslation();
 
-  const handler = () => [navigate("/")];
+  const handler = () => [navigate(localize("/"))];
   return (
     <div>
-      <h1>DashBoard</h1>
-      <button onClick={handler}>Move to About Page</button>
+      <h1>{t("dashboard.title")}</h1>
+      <button onClick={handler}>{t("dashboard.toHome")}</button>
+      <ul>
+        {sections.map((section) => (
+          <li key={section}>
+            <NavLink
+              className={({ isActive }) =>
+                isActive ? "link active-link" : "link"
+              }
+              to={localize(`/dashboard/${section}`)}
+              {...prefetchOn(`/dashboard/${section}`)}
+            >
+              {t(`dashboard.${section}`)}
+            </NavLink>
+          </li>
+        ))}
+      </ul>
       <Outlet />
     </div>
   );
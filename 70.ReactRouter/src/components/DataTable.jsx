@@ -0,0 +1,66 @@
+import React from "react";
+import { exportRows } from "../reports/exportData";
+import { useTranslation } from "../i18n/I18nContext";
+
+// `columns` carry an i18n `labelKey`; headers and exported files use the
+// translated label.
+const DataTable = ({
+  title,
+  name,
+  columns: columnDefs,
+  rows,
+  rowKey,
+  onRowClick,
+}) => {
+  const { t } = useTranslation();
+  const columns = columnDefs.map((c) => ({ ...c, label: t(c.labelKey) }));
+
+  return (
+    <section className="data-table">
+      <div className="toolbar">
+        <h2>{title}</h2>
+        <button onClick={() => exportRows("csv", name, rows, columns)}>
+          CSV
+        </button>
+        <button onClick={() => exportRows("json", name, rows, columns)}>
+          JSON
+        </button>
+      </div>
+      <table className="table">
+        <thead>
+          <tr>
+            {columns.map((c) => (
+              <th key={c.key}>{c.label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row) => (
+            <tr
+              key={row[rowKey]}
+              className={onRowClick ? "clickable" : undefined}
+              tabIndex={onRowClick ? 0 : undefined}
+              onClick={onRowClick && (() => onRowClick(row))}
+              onKeyDown={
+                onRowClick && ((e) => e.key === "Enter" && onRowClick(row))
+              }
+            >
+              {columns.map((c) => (
+                <td key={c.key}>
+                  {c.render ? c.render(row[c.key], row) : row[c.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+          {rows.length === 0 && (
+            <tr>
+              <td colSpan={columns.length}>{t("reports.noData")}</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default DataTable;
@@ -1,16 +1,18 @@
 import React from "react";
 import { useNavigate } from "react-router-dom";
+import { useTranslation } from "../i18n/I18nContext";
 
 const Home = () => {
   const navigate = useNavigate();
+  const { t, localize } = useTranslation();
 
   const handler = () => {
-    navigate("/about");
+    navigate(localize("/about"));
   };
   return (
     <div>
-      <h1>Home</h1>
-      <button onClick={handler}>Move to About Page</button>
+      <h1>{t("home.title")}</h1>
+      <button onClick={handler}>{t("home.toAbout")}</button>
     </div>
   );
 };
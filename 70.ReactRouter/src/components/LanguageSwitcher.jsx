@@ -0,0 +1,39 @@
+import React from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { useTranslation } from "../i18n/I18nContext";
+import { languages, localizePath, splitLanguage } from "../i18n/config";
+
+const LanguageSwitcher = () => {
+  const { language, setLanguage, error, retryLoad, t } = useTranslation();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  const handleChange = (e) => {
+    const next = e.target.value;
+    const { path } = splitLanguage(location.pathname);
+    setLanguage(next);
+    navigate(localizePath(path, next) + location.search + location.hash, {
+      state: location.state,
+    });
+  };
+
+  return (
+    <label className="language-switcher">
+      {t("nav.language")}
+      <select value={language} onChange={handleChange}>
+        {Object.entries(languages).map(([code, { label }]) => (
+          <option key={code} value={code}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {error && (
+        <button type="button" onClick={retryLoad}>
+          {t("nav.languageRetry")}
+        </button>
+      )}
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,45 @@
+import React, { Suspense, useEffect } from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import NavBar from "./NavBar";
+import LoadingBar from "./LoadingBar";
+import PageFallback from "./PageFallback";
+import { useTranslation } from "../i18n/I18nContext";
+import { DEFAULT_LANGUAGE, localizePath } from "../i18n/config";
+
+const Layout = ({ language }) => {
+  const {
+    language: entryLanguage,
+    setLanguage,
+    redirectOnEntry,
+  } = useTranslation();
+  const location = useLocation();
+
+  // only the URL the app was opened with follows the saved preference; an
+  // unprefixed URL reached afterwards (Back, a link) switches to the default
+  const redirect =
+    language === DEFAULT_LANGUAGE && redirectOnEntry
+      ? localizePath(location.pathname, entryLanguage) +
+        location.search +
+        location.hash
+      : null;
+
+  useEffect(() => {
+    if (!redirect) setLanguage(language);
+  }, [redirect, language, setLanguage]);
+
+  if (redirect) {
+    return <Navigate to={redirect} replace state={location.state} />;
+  }
+
+  return (
+    <div>
+      <LoadingBar />
+      <NavBar />
+      <Suspense fallback={<PageFallback />}>
+        <Outlet />
+      </Suspense>
+    </div>
+  );
+};
+
+export default Layout;
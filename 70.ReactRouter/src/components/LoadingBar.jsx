@@ -0,0 +1,11 @@
+import React from "react";
+import { useNavigation } from "react-router-dom";
+
+const LoadingBar = () => {
+  const navigation = useNavigation();
+
+  if (navigation.state === "idle") return null;
+  return <div className="loading-bar" role="progressbar" aria-busy="true" />;
+};
+
+export default LoadingBar;
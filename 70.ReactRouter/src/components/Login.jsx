@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+import {
+  Navigate,
+  useLocation,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useTranslation } from "../i18n/I18nContext";
+import Trans from "../i18n/Trans";
+
+// only same-origin paths, so ?from= cannot send the user to another site
+const toLocation = (path) => {
+  if (!path?.startsWith("/") || path.startsWith("//")) return null;
+  const { pathname, search, hash } = new URL(path, window.location.origin);
+  return { pathname, search, hash };
+};
+
+const Login = () => {
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { t, localize } = useTranslation();
+  const [searchParams] = useSearchParams();
+  const [name, setName] = useState("");
+
+  // RequireAuth passes the location in state, the guard loader in ?from=
+  const from = location.state?.from ?? toLocation(searchParams.get("from"));
+  const target = from
+    ? from.pathname + from.search + from.hash
+    : localize("/dashboard");
+
+  if (user) {
+    return <Navigate to={target} replace />;
+  }
+
+  const handler = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    login(name.trim());
+    navigate(target, { replace: true });
+  };
+
+  return (
+    <div>
+      <h1>{t("login.title")}</h1>
+      {from && (
+        <p>
+          <Trans
+            id="login.required"
+            values={{ path: from.pathname }}
+            components={{ path: <code /> }}
+          />
+        </p>
+      )}
+      <form onSubmit={handler}>
+        <input
+          type="text"
+          placeholder={t("login.name")}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit">{t("login.submit")}</button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
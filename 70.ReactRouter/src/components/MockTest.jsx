@@ -1,9 +1,25 @@
 import React from "react";
+import { Link, useLoaderData } from "react-router-dom";
+import { useTranslation } from "../i18n/I18nContext";
 
 const MockTest = () => {
+  const tests = useLoaderData();
+  const { t } = useTranslation();
+
   return (
     <div>
-      <h1>MockTest Section</h1>
+      <h1>{t("mocktest.title")}</h1>
+      <ul className="list">
+        {tests.map((test) => (
+          <li key={test.id}>
+            <Link to={test.id}>{test.title}</Link> ·{" "}
+            {t("mocktest.summary", {
+              questions: test.questions,
+              minutes: test.minutes,
+            })}
+          </li>
+        ))}
+      </ul>
     </div>
   );
 };
@@ -0,0 +1,12 @@
+import React from "react";
+import { useLoaderData } from "react-router-dom";
+import ExamSession from "./exam/ExamSession";
+
+const MockTestRunner = () => {
+  const test = useLoaderData();
+
+  // a fresh session per test so switching tests never mixes attempts
+  return <ExamSession key={test.id} test={test} />;
+};
+
+export default MockTestRunner;
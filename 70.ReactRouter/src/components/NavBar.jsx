@@ -1,7 +1,14 @@
 import React from "react";
-import { Link, NavLink } from "react-router-dom";
+import { NavLink } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useTranslation } from "../i18n/I18nContext";
+import { prefetchOn } from "../routes/pages";
+import LanguageSwitcher from "./LanguageSwitcher";
 
 const NavBar = () => {
+  const { user, logout } = useAuth();
+  const { t, localize } = useTranslation();
+
   return (
     <div>
       <ul>
@@ -10,9 +17,10 @@ const NavBar = () => {
             className={({ isActive }) =>
               isActive ? "link active-link" : "link"
             }
-            to="/"
+            to={localize("/")}
+            end
           >
-            Home
+            {t("nav.home")}
           </NavLink>
         </li>
         <li>
@@ -20,9 +28,10 @@ const NavBar = () => {
             className={({ isActive }) =>
               isActive ? "link active-link" : "link"
             }
-            to="/about"
+            to={localize("/about")}
+            {...prefetchOn("/about")}
           >
-            About
+            {t("nav.about")}
           </NavLink>
         </li>
         <li>
@@ -30,11 +39,31 @@ const NavBar = () => {
             className={({ isActive }) =>
               isActive ? "link active-link" : "link"
             }
-            to="/dashboard"
+            to={localize("/dashboard")}
+            {...prefetchOn("/dashboard")}
           >
-            Dashboard
+            {t("nav.dashboard")}
           </NavLink>
         </li>
+        <li>
+          {user ? (
+            <button className="link nav-btn" onClick={logout}>
+              {t("nav.logout", { name: user })}
+            </button>
+          ) : (
+            <NavLink
+              className={({ isActive }) =>
+                isActive ? "link active-link" : "link"
+              }
+              to={localize("/login")}
+            >
+              {t("nav.login")}
+            </NavLink>
+          )}
+        </li>
+        <li>
+          <LanguageSwitcher />
+        </li>
       </ul>
     </div>
   );
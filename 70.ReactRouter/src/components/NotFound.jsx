@@ -1,9 +1,12 @@
 import React from "react";
+import { useTranslation } from "../i18n/I18nContext";
 
 const NotFound = () => {
+  const { t } = useTranslation();
+
   return (
     <div className="container">
-      <h1>NOT FOUND IDIOT TYPE CORRECT ROUTE ... ❓😀❔ </h1>
+      <h1>{t("notFound.title")} </h1>
     </div>
   );
 };
@@ -0,0 +1,14 @@
+import React from "react";
+import { useTranslation } from "../i18n/I18nContext";
+
+const PageFallback = () => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="page-fallback">
+      <h2>{t("common.loading")}</h2>
+    </div>
+  );
+};
+
+export default PageFallback;
@@ -1,11 +1,56 @@
 import React from "react";
-import { useParams } from "react-router-dom";
+import { useLoaderData } from "react-router-dom";
+import DataTable from "./DataTable";
+import { useTranslation } from "../i18n/I18nContext";
+import TrendChart from "./charts/TrendChart";
+import { attemptHistory, topicStats } from "../reports/analytics";
+
+const historyColumns = [
+  { key: "date", labelKey: "reports.columns.date" },
+  { key: "test", labelKey: "reports.columns.test" },
+  { key: "score", labelKey: "reports.columns.score" },
+  { key: "percent", labelKey: "reports.columns.percent" },
+  { key: "minutes", labelKey: "reports.columns.minutes" },
+];
+
+const topicColumns = [
+  { key: "topic", labelKey: "reports.columns.topic" },
+  { key: "questions", labelKey: "reports.columns.questions" },
+  { key: "accuracy", labelKey: "reports.columns.accuracy" },
+];
 
 const ParamComponent = () => {
-  const { id } = useParams();
+  const student = useLoaderData();
+  const { t } = useTranslation();
+  const history = attemptHistory(student.attempts);
+
   return (
-    <div>
-      <h1>Params : {id}</h1>
+    <div className="reports">
+      <h1>{t("student.title", { id: student.id })}</h1>
+      <h2>{student.name}</h2>
+      {student.email && <p>{student.email}</p>}
+      {student.courses.length > 0 && (
+        <p>
+          {t("student.enrolled", {
+            courses: student.courses.map((c) => c.title).join(", "),
+          })}
+        </p>
+      )}
+      <DataTable
+        title={t("reports.history")}
+        name={`student-${student.id}-attempts`}
+        columns={historyColumns}
+        rows={history}
+        rowKey="id"
+      />
+      <TrendChart points={history.map((row) => row.percent)} />
+      <DataTable
+        title={t("reports.topics")}
+        name={`student-${student.id}-topics`}
+        columns={topicColumns}
+        rows={topicStats(student.attempts)}
+        rowKey="topic"
+      />
     </div>
   );
 };
@@ -1,9 +1,77 @@
 import React from "react";
+import { useLoaderData, useNavigate } from "react-router-dom";
+import DataTable from "./DataTable";
+import { useTranslation } from "../i18n/I18nContext";
+import BarChart from "./charts/BarChart";
+import TrendChart from "./charts/TrendChart";
+import { attemptHistory, studentStats, topicStats } from "../reports/analytics";
+
+const studentColumns = [
+  { key: "name", labelKey: "reports.columns.student" },
+  { key: "attempts", labelKey: "reports.columns.attempts" },
+  { key: "averageScore", labelKey: "reports.columns.averageScore" },
+  { key: "accuracy", labelKey: "reports.columns.accuracy" },
+  { key: "minutesSpent", labelKey: "reports.columns.minutes" },
+  { key: "weakestTopic", labelKey: "reports.columns.weakestTopic" },
+  {
+    key: "trend",
+    labelKey: "reports.columns.trend",
+    render: (trend) => <TrendChart points={trend} width={120} height={40} />,
+  },
+];
+
+const topicColumns = [
+  { key: "topic", labelKey: "reports.columns.topic" },
+  { key: "questions", labelKey: "reports.columns.questions" },
+  { key: "correct", labelKey: "reports.columns.correct" },
+  { key: "accuracy", labelKey: "reports.columns.accuracy" },
+];
+
+const historyColumns = [
+  { key: "date", labelKey: "reports.columns.date" },
+  { key: "student", labelKey: "reports.columns.student" },
+  { key: "test", labelKey: "reports.columns.test" },
+  { key: "score", labelKey: "reports.columns.score" },
+  { key: "percent", labelKey: "reports.columns.percent" },
+  { key: "minutes", labelKey: "reports.columns.minutes" },
+];
 
 const Reports = () => {
+  const attempts = useLoaderData();
+  const navigate = useNavigate();
+  const { t, localize } = useTranslation();
+
+  const students = studentStats(attempts);
+  const topics = topicStats(attempts);
+  const history = attemptHistory(attempts);
+
   return (
-    <div>
-      <h1>Reports Section</h1>
+    <div className="reports">
+      <h1>{t("reports.title")}</h1>
+      <DataTable
+        title={t("reports.students")}
+        name="students"
+        columns={studentColumns}
+        rows={students}
+        rowKey="studentId"
+        onRowClick={(row) => navigate(localize(`/student/${row.studentId}`))}
+      />
+      <DataTable
+        title={t("reports.topics")}
+        name="topics"
+        columns={topicColumns}
+        rows={topics}
+        rowKey="topic"
+      />
+      <BarChart items={topics} label="topic" value="accuracy" />
+      <DataTable
+        title={t("reports.history")}
+        name="attempts"
+        columns={historyColumns}
+        rows={history}
+        rowKey="id"
+      />
+      <TrendChart points={history.map((row) => row.percent)} />
     </div>
   );
 };
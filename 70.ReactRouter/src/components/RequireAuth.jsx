@@ -0,0 +1,20 @@
+import React from "react";
+import { Navigate, Outlet, useLocation } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import { useTranslation } from "../i18n/I18nContext";
+
+const RequireAuth = ({ children }) => {
+  const { user } = useAuth();
+  const location = useLocation();
+  const { localize } = useTranslation();
+
+  if (!user) {
+    // remember where the visitor was heading so Login can send them back
+    return (
+      <Navigate to={localize("/login")} replace state={{ from: location }} />
+    );
+  }
+  return children ?? <Outlet />;
+};
+
+export default RequireAuth;
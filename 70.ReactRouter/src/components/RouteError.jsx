@@ -0,0 +1,32 @@
+import React from "react";
+import { isRouteErrorResponse, Link, useRouteError } from "react-router-dom";
+import { useTranslation } from "../i18n/I18nContext";
+
+const RouteError = () => {
+  const error = useRouteError();
+  const { t, localize } = useTranslation();
+
+  if (isRouteErrorResponse(error) && error.status === 404) {
+    return (
+      <div className="route-error">
+        <h1>{t("errors.recordNotFound")}</h1>
+        <p>{error.data}</p>
+        <Link to={localize("/dashboard")}>{t("errors.backToDashboard")}</Link>
+      </div>
+    );
+  }
+
+  const message = isRouteErrorResponse(error)
+    ? `${error.status} ${error.statusText}`
+    : (error?.message ?? t("errors.unknown"));
+
+  return (
+    <div className="route-error">
+      <h1>{t("errors.generic")}</h1>
+      <p>{message}</p>
+      <Link to={localize("/")}>{t("errors.backToHome")}</Link>
+    </div>
+  );
+};
+
+export default RouteError;
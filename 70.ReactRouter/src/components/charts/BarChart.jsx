@@ -0,0 +1,46 @@
+import React from "react";
+
+const BAR = 22;
+const GAP = 8;
+const LABEL = 150;
+const WIDTH = 460;
+
+// Horizontal bars for percentages (0–100).
+const BarChart = ({ items, label, value }) => {
+  const height = items.length * (BAR + GAP);
+  const scale = (WIDTH - LABEL - 50) / 100;
+
+  return (
+    <svg
+      className="chart"
+      width={WIDTH}
+      height={height}
+      role="img"
+      aria-label="Bar chart"
+    >
+      {items.map((item, i) => {
+        const y = i * (BAR + GAP);
+        const amount = item[value];
+        return (
+          <g key={item[label]}>
+            <text x={0} y={y + BAR * 0.7}>
+              {item[label]}
+            </text>
+            <rect
+              x={LABEL}
+              y={y}
+              width={Math.max(1, amount * scale)}
+              height={BAR}
+              fill="orangered"
+            />
+            <text x={LABEL + amount * scale + 6} y={y + BAR * 0.7}>
+              {amount}%
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export default BarChart;
@@ -0,0 +1,38 @@
+import React from "react";
+
+const PAD = 24;
+
+// Line of percentage scores in attempt order.
+const TrendChart = ({ points, width = 460, height = 160 }) => {
+  if (points.length === 0) return null;
+
+  const step = points.length > 1 ? (width - PAD * 2) / (points.length - 1) : 0;
+  const y = (p) => height - PAD - (p / 100) * (height - PAD * 2);
+  const coords = points.map((p, i) => [PAD + i * step, y(p)]);
+
+  return (
+    <svg
+      className="chart"
+      width={width}
+      height={height}
+      role="img"
+      aria-label="Score trend"
+    >
+      <line x1={PAD} y1={y(0)} x2={width - PAD} y2={y(0)} stroke="#999" />
+      <line x1={PAD} y1={y(100)} x2={width - PAD} y2={y(100)} stroke="#ddd" />
+      <polyline
+        fill="none"
+        stroke="orangered"
+        strokeWidth="2"
+        points={coords.map((c) => c.join(",")).join(" ")}
+      />
+      {coords.map(([cx, cy], i) => (
+        <circle key={i} cx={cx} cy={cy} r="4" fill="orangered">
+          <title>{points[i]}%</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default TrendChart;
@@ -0,0 +1,38 @@
+import React, { useEffect, useState } from "react";
+import { useTranslation } from "../../i18n/I18nContext";
+
+const format = (ms) => {
+  const total = Math.ceil(ms / 1000);
+  const minutes = String(Math.floor(total / 60)).padStart(2, "0");
+  const seconds = String(total % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+};
+
+const Countdown = ({ deadline, onExpire }) => {
+  const [now, setNow] = useState(Date.now());
+  const { t } = useTranslation();
+
+  useEffect(() => {
+    const intervalId = setInterval(() => {
+      setNow(Date.now());
+    }, 1000);
+
+    return () => {
+      clearInterval(intervalId);
+    };
+  }, []);
+
+  const remaining = Math.max(0, deadline - now);
+
+  useEffect(() => {
+    if (remaining === 0) onExpire();
+  }, [remaining, onExpire]);
+
+  return (
+    <div className={remaining < 60 * 1000 ? "countdown urgent" : "countdown"}>
+      {t("mocktest.timeLeft", { time: format(remaining) })}
+    </div>
+  );
+};
+
+export default Countdown;
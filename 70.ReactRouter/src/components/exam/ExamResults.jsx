@@ -0,0 +1,74 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useTranslation } from "../../i18n/I18nContext";
+
+const describe = (question, value) => {
+  if (question.type === "numeric")
+    return value === null || value === "" ? "—" : value;
+  if (question.type === "multi") {
+    return value.length
+      ? value.map((i) => question.options[i]).join(", ")
+      : "—";
+  }
+  return value === null ? "—" : question.options[value];
+};
+
+const ExamResults = ({ test, result, onRestart }) => {
+  const { t, localize } = useTranslation();
+  const minutes = Math.round(result.timeSpentMs / 6000) / 10;
+
+  return (
+    <div className="exam-results">
+      <h2>
+        {t("mocktest.score", {
+          title: test.title,
+          score: result.score,
+          total: result.total,
+        })}
+      </h2>
+      <p>{t("mocktest.timeSpent", { minutes })}</p>
+      <table className="table">
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>{t("mocktest.question")}</th>
+            <th>{t("mocktest.yourAnswer")}</th>
+            <th>{t("mocktest.correctAnswer")}</th>
+            <th>{t("mocktest.result")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {test.questions.map((question, index) => {
+            const row = result.questions[index];
+            return (
+              <tr
+                key={question.id}
+                className={row.correct ? "correct" : "wrong"}
+              >
+                <td>{index + 1}</td>
+                <td>{question.text}</td>
+                <td>{describe(question, row.given)}</td>
+                <td>{describe(question, question.answer)}</td>
+                <td>
+                  {row.correct
+                    ? "✔"
+                    : row.answered
+                      ? "✘"
+                      : t("mocktest.skipped")}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="toolbar">
+        <button onClick={onRestart}>{t("mocktest.retake")}</button>
+        <Link to={localize("/dashboard/mocktest")}>
+          {t("mocktest.backToTests")}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ExamResults;
@@ -0,0 +1,68 @@
+import React from "react";
+import { useAuth } from "../../context/AuthContext";
+import { useTranslation } from "../../i18n/I18nContext";
+import useAttempt from "../../exam/useAttempt";
+import Countdown from "./Countdown";
+import QuestionPanel from "./QuestionPanel";
+import QuestionView from "./QuestionView";
+import ExamResults from "./ExamResults";
+
+const ExamSession = ({ test }) => {
+  const { user } = useAuth();
+  const { t } = useTranslation();
+  const { attempt, result, answer, toggleReview, goTo, submit, restart } =
+    useAttempt(test, user);
+
+  if (result) {
+    return <ExamResults test={test} result={result} onRestart={restart} />;
+  }
+
+  const index = attempt.current;
+  const question = test.questions[index];
+  const marked = attempt.review.includes(question.id);
+
+  const handleSubmit = () => {
+    if (window.confirm(t("mocktest.confirmSubmit"))) submit();
+  };
+
+  return (
+    <div className="exam">
+      <div className="exam-header">
+        <h2>{test.title}</h2>
+        <Countdown deadline={attempt.deadline} onExpire={submit} />
+      </div>
+      <div className="exam-body">
+        <QuestionPanel
+          questions={test.questions}
+          attempt={attempt}
+          onSelect={goTo}
+        />
+        <div>
+          <QuestionView
+            question={question}
+            number={index + 1}
+            value={attempt.answers[question.id]}
+            onChange={(value) => answer(question.id, value)}
+          />
+          <div className="toolbar">
+            <button disabled={index === 0} onClick={() => goTo(index - 1)}>
+              {t("mocktest.previous")}
+            </button>
+            <button onClick={() => toggleReview(question.id)}>
+              {marked ? t("mocktest.unmark") : t("mocktest.mark")}
+            </button>
+            <button
+              disabled={index === test.questions.length - 1}
+              onClick={() => goTo(index + 1)}
+            >
+              {t("mocktest.next")}
+            </button>
+            <button onClick={handleSubmit}>{t("mocktest.submit")}</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExamSession;
@@ -0,0 +1,31 @@
+import React from "react";
+import { isAnswered } from "../../exam/examEngine";
+
+const QuestionPanel = ({ questions, attempt, onSelect }) => {
+  return (
+    <nav className="question-panel" aria-label="Questions">
+      {questions.map((question, index) => {
+        const classes = ["question-chip"];
+        if (isAnswered(question, attempt.answers[question.id])) {
+          classes.push("answered");
+        }
+        if (attempt.review.includes(question.id)) classes.push("review");
+        if (attempt.current === index) classes.push("current");
+
+        return (
+          <button
+            key={question.id}
+            type="button"
+            className={classes.join(" ")}
+            aria-current={attempt.current === index ? "step" : undefined}
+            onClick={() => onSelect(index)}
+          >
+            {index + 1}
+          </button>
+        );
+      })}
+    </nav>
+  );
+};
+
+export default QuestionPanel;
@@ -0,0 +1,61 @@
+import React from "react";
+import { useTranslation } from "../../i18n/I18nContext";
+
+const QuestionView = ({ question, number, value, onChange }) => {
+  const { t } = useTranslation();
+
+  const toggle = (option) => {
+    const next = value.includes(option)
+      ? value.filter((o) => o !== option)
+      : [...value, option];
+    onChange(next);
+  };
+
+  return (
+    <fieldset className="question">
+      <legend>
+        Q{number}. {question.text}
+      </legend>
+      {question.type === "multi" && (
+        <p className="hint">{t("mocktest.selectAll")}</p>
+      )}
+
+      {question.type === "single" &&
+        question.options.map((option, i) => (
+          <label key={option} className="option">
+            <input
+              type="radio"
+              name={question.id}
+              checked={value === i}
+              onChange={() => onChange(i)}
+            />
+            {option}
+          </label>
+        ))}
+
+      {question.type === "multi" &&
+        question.options.map((option, i) => (
+          <label key={option} className="option">
+            <input
+              type="checkbox"
+              checked={value.includes(i)}
+              onChange={() => toggle(i)}
+            />
+            {option}
+          </label>
+        ))}
+
+      {question.type === "numeric" && (
+        <input
+          type="number"
+          step="any"
+          className="numeric"
+          value={value ?? ""}
+          onChange={(e) => onChange(e.target.value)}
+        />
+      )}
+    </fieldset>
+  );
+};
+
+export default QuestionView;
@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+
+const AuthContext = createContext(null);
+
+const useAuth = () => {
+  const auth = useContext(AuthContext);
+  if (!auth) {
+    throw new Error("useAuth must be used inside <AuthProvider>");
+  }
+  return auth;
+};
+
+export { AuthContext, useAuth };
@@ -0,0 +1,29 @@
+import React, { useCallback, useMemo, useState } from "react";
+import { AuthContext } from "./AuthContext";
+import { readSession, writeSession } from "./session";
+
+const AuthProvider = ({ children }) => {
+  const [session, setSession] = useState(readSession);
+
+  // storage is written before the state update, not in an effect, because
+  // the navigation that follows a login runs the guard loader straight away
+  const login = useCallback((name) => {
+    const next = { user: name, signedInAt: Date.now() };
+    writeSession(next);
+    setSession(next);
+  }, []);
+
+  const logout = useCallback(() => {
+    writeSession(null);
+    setSession(null);
+  }, []);
+
+  const value = useMemo(
+    () => ({ user: session?.user ?? null, login, logout }),
+    [session, login, logout]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+export default AuthProvider;
@@ -0,0 +1,22 @@
+// The signed-in session is kept in localStorage so it survives reloads and
+// can be read outside React by the route guard loader.
+
+const STORAGE_KEY = "session";
+
+const readSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+const writeSession = (session) => {
+  if (session) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  } else {
+    localStorage.removeItem(STORAGE_KEY);
+  }
+};
+
+export { readSession, writeSession };
@@ -0,0 +1,35 @@
+// localStorage persistence for in-progress attempts and finished results.
+
+const RESULTS_KEY = "mocktest:results";
+
+const attemptKey = (student, testId) => `mocktest:attempt:${student}:${testId}`;
+
+const read = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const loadAttempt = (student, testId) => read(attemptKey(student, testId), null);
+
+const saveAttempt = (student, attempt) => {
+  localStorage.setItem(
+    attemptKey(student, attempt.testId),
+    JSON.stringify(attempt)
+  );
+};
+
+const clearAttempt = (student, testId) => {
+  localStorage.removeItem(attemptKey(student, testId));
+};
+
+const loadResults = () => read(RESULTS_KEY, []);
+
+const saveResult = (result) => {
+  const results = loadResults().filter((r) => r.id !== result.id);
+  localStorage.setItem(RESULTS_KEY, JSON.stringify([...results, result]));
+};
+
+export { loadAttempt, saveAttempt, clearAttempt, loadResults, saveResult };
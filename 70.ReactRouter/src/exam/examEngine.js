@@ -0,0 +1,72 @@
+// Pure helpers for running and grading a mock test attempt.
+
+const emptyAnswer = (question) => (question.type === "multi" ? [] : null);
+
+const createAttempt = (test, now = Date.now()) => ({
+  testId: test.id,
+  startedAt: now,
+  deadline: now + test.minutes * 60 * 1000,
+  current: 0,
+  answers: Object.fromEntries(test.questions.map((q) => [q.id, emptyAnswer(q)])),
+  review: [],
+});
+
+const isAnswered = (question, value) => {
+  if (question.type === "multi") return Array.isArray(value) && value.length > 0;
+  if (question.type === "numeric") return value !== null && value !== "";
+  return value !== null && value !== undefined;
+};
+
+const isCorrect = (question, value) => {
+  if (!isAnswered(question, value)) return false;
+
+  switch (question.type) {
+    case "single":
+      return value === question.answer;
+    case "multi": {
+      const given = [...value].sort((a, b) => a - b);
+      const expected = [...question.answer].sort((a, b) => a - b);
+      return (
+        given.length === expected.length &&
+        given.every((option, i) => option === expected[i])
+      );
+    }
+    case "numeric": {
+      const number = Number(value);
+      return (
+        !Number.isNaN(number) &&
+        Math.abs(number - question.answer) <= (question.tolerance ?? 0)
+      );
+    }
+    default:
+      return false;
+  }
+};
+
+const gradeAttempt = (test, attempt, student, submittedAt = Date.now()) => {
+  const questions = test.questions.map((question) => {
+    const given = attempt.answers[question.id];
+    return {
+      questionId: question.id,
+      topic: question.topic,
+      answered: isAnswered(question, given),
+      correct: isCorrect(question, given),
+      given,
+    };
+  });
+  const end = Math.min(submittedAt, attempt.deadline);
+
+  return {
+    id: `${test.id}-${attempt.startedAt}`,
+    testId: test.id,
+    student,
+    startedAt: attempt.startedAt,
+    submittedAt: end,
+    timeSpentMs: end - attempt.startedAt,
+    score: questions.filter((q) => q.correct).length,
+    total: questions.length,
+    questions,
+  };
+};
+
+export { createAttempt, isAnswered, isCorrect, gradeAttempt };
@@ -0,0 +1,70 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { createAttempt, gradeAttempt } from "./examEngine";
+import {
+  clearAttempt,
+  loadAttempt,
+  saveAttempt,
+  saveResult,
+} from "./attemptStorage";
+
+const useAttempt = (test, student) => {
+  const [attempt, setAttempt] = useState(
+    () => loadAttempt(student, test.id) ?? createAttempt(test)
+  );
+  const [result, setResult] = useState(null);
+  const latest = useRef(attempt);
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    latest.current = attempt;
+    if (!submitted.current) saveAttempt(student, attempt);
+  }, [attempt, student]);
+
+  const answer = useCallback((questionId, value) => {
+    setAttempt((prev) => ({
+      ...prev,
+      answers: { ...prev.answers, [questionId]: value },
+    }));
+  }, []);
+
+  const toggleReview = useCallback((questionId) => {
+    setAttempt((prev) => ({
+      ...prev,
+      review: prev.review.includes(questionId)
+        ? prev.review.filter((id) => id !== questionId)
+        : [...prev.review, questionId],
+    }));
+  }, []);
+
+  const goTo = useCallback(
+    (index) => {
+      const last = test.questions.length - 1;
+      setAttempt((prev) => ({
+        ...prev,
+        current: Math.min(Math.max(0, index), last),
+      }));
+    },
+    [test]
+  );
+
+  // safe to call twice (e.g. the timer expiring while the button is pressed)
+  const submit = useCallback(() => {
+    if (submitted.current) return;
+    submitted.current = true;
+
+    const graded = gradeAttempt(test, latest.current, student);
+    saveResult(graded);
+    clearAttempt(student, test.id);
+    setResult(graded);
+  }, [test, student]);
+
+  const restart = useCallback(() => {
+    submitted.current = false;
+    setResult(null);
+    setAttempt(createAttempt(test));
+  }, [test]);
+
+  return { attempt, result, answer, toggleReview, goTo, submit, restart };
+};
+
+export default useAttempt;
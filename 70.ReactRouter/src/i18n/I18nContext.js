@@ -0,0 +1,13 @@
+import { createContext, useContext } from "react";
+
+const I18nContext = createContext(null);
+
+const useTranslation = () => {
+  const i18n = useContext(I18nContext);
+  if (!i18n) {
+    throw new Error("useTranslation must be used inside <I18nProvider>");
+  }
+  return i18n;
+};
+
+export { I18nContext, useTranslation };
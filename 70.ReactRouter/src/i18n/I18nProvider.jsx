@@ -0,0 +1,105 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { I18nContext } from "./I18nContext";
+import { formatMessage } from "./messageFormat";
+import en from "./locales/en.json";
+import {
+  DEFAULT_LANGUAGE,
+  getStoredLanguage,
+  languages,
+  localizePath,
+  splitLanguage,
+  storeLanguage,
+} from "./config";
+
+const lookup = (catalog, key) =>
+  key.split(".").reduce((node, part) => node?.[part], catalog);
+
+// A language prefix in the URL wins over the saved preference. This is only
+// decided on entry: later unprefixed URLs mean the default language.
+const initialLanguage = () => {
+  const { language } = splitLanguage(window.location.pathname);
+  if (language !== DEFAULT_LANGUAGE) return language;
+  return getStoredLanguage() ?? DEFAULT_LANGUAGE;
+};
+
+const I18nProvider = ({ children }) => {
+  const [language, setLanguageState] = useState(initialLanguage);
+  // an unprefixed entry URL still has to move under the saved language
+  const [redirectOnEntry, setRedirectOnEntry] = useState(
+    () => language !== splitLanguage(window.location.pathname).language
+  );
+  const [catalogs, setCatalogs] = useState({ [DEFAULT_LANGUAGE]: en });
+  // { language, error } of a catalogue chunk that failed to load
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    if (catalogs[language] || loadError?.language === language) return;
+    let cancelled = false;
+    languages[language]
+      .load()
+      .then((module) => {
+        if (!cancelled) {
+          setCatalogs((prev) => ({ ...prev, [language]: module.default }));
+        }
+      })
+      .catch((error) => {
+        // keep the default-language fallback until a retry succeeds
+        if (!cancelled) setLoadError({ language, error });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [language, catalogs, loadError]);
+
+  // try a failed catalogue again once the connection comes back
+  useEffect(() => {
+    if (!loadError) return;
+    const retry = () => setLoadError(null);
+    window.addEventListener("online", retry);
+    return () => window.removeEventListener("online", retry);
+  }, [loadError]);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  // stored synchronously so a navigation fired right after sees the choice
+  const setLanguage = useCallback((next) => {
+    storeLanguage(next);
+    setLanguageState(next);
+    setRedirectOnEntry(false);
+    // picking the language again retries a catalogue that failed to load
+    setLoadError(null);
+  }, []);
+
+  const retryLoad = useCallback(() => setLoadError(null), []);
+
+  const value = useMemo(() => {
+    const catalog = catalogs[language];
+    // until a lazy catalogue arrives, fall back to the default language
+    const t = (key, values) => {
+      const message = lookup(catalog, key) ?? lookup(en, key);
+      if (typeof message !== "string") return key;
+      return formatMessage(
+        message,
+        values,
+        catalog ? language : DEFAULT_LANGUAGE
+      );
+    };
+
+    return {
+      language,
+      setLanguage,
+      redirectOnEntry,
+      ready: Boolean(catalog),
+      error: loadError?.language === language ? loadError.error : null,
+      retryLoad,
+      t,
+      localize: (path) => localizePath(path, language),
+    };
+  }, [language, catalogs, setLanguage, redirectOnEntry, loadError, retryLoad]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
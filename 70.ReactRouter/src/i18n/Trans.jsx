@@ -0,0 +1,29 @@
+import React, { cloneElement, Fragment } from "react";
+import { useTranslation } from "./I18nContext";
+
+const TAG = /<(\w+)>(.*?)<\/\1>/g;
+
+// Renders a message that contains simple tags, e.g.
+//   "Read the <link>docs</link>" with components={{ link: <Link to="/" /> }}
+// Each tag becomes a clone of the matching element wrapping the tag's text.
+const Trans = ({ id, values, components = {} }) => {
+  const { t } = useTranslation();
+  const message = t(id, values);
+
+  const nodes = [];
+  let last = 0;
+  for (const match of message.matchAll(TAG)) {
+    const [whole, tag, inner] = match;
+    nodes.push(message.slice(last, match.index));
+    const element = components[tag];
+    nodes.push(
+      element ? cloneElement(element, { key: match.index }, inner) : inner
+    );
+    last = match.index + whole.length;
+  }
+  nodes.push(message.slice(last));
+
+  return <Fragment>{nodes}</Fragment>;
+};
+
+export default Trans;
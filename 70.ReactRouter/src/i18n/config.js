@@ -0,0 +1,45 @@
+// Supported languages. The default language has no URL prefix; every other
+// language is served under `/<code>/...` and its catalogue is loaded lazily.
+
+const DEFAULT_LANGUAGE = "en";
+const STORAGE_KEY = "language";
+
+const languages = {
+  en: { label: "English" },
+  hi: { label: "हिन्दी", load: () => import("./locales/hi.json") },
+};
+
+const isLanguage = (code) => Object.hasOwn(languages, code);
+
+// "/hi/about?x=1" -> { language: "hi", path: "/about?x=1" }
+const splitLanguage = (pathname) => {
+  const [, first, ...rest] = pathname.split("/");
+  if (first !== DEFAULT_LANGUAGE && isLanguage(first)) {
+    return { language: first, path: `/${rest.join("/")}` };
+  }
+  return { language: DEFAULT_LANGUAGE, path: pathname };
+};
+
+const localizePath = (path, language) => {
+  if (language === DEFAULT_LANGUAGE || !path.startsWith("/")) return path;
+  return path === "/" ? `/${language}` : `/${language}${path}`;
+};
+
+const getStoredLanguage = () => {
+  const stored = localStorage.getItem(STORAGE_KEY);
+  return isLanguage(stored) ? stored : null;
+};
+
+const storeLanguage = (language) => {
+  localStorage.setItem(STORAGE_KEY, language);
+};
+
+export {
+  DEFAULT_LANGUAGE,
+  languages,
+  isLanguage,
+  splitLanguage,
+  localizePath,
+  getStoredLanguage,
+  storeLanguage,
+};
@@ -0,0 +1,125 @@
+// A small ICU MessageFormat subset:
+//   {name}                                  plain argument
+//   {n, number} / {n, number, percent}      Intl.NumberFormat
+//   {d, date} / {d, date, short}            Intl.DateTimeFormat
+//   {n, plural, =0 {none} one {# item} other {# items}}
+//   {g, select, male {he} female {she} other {they}}
+// Inside a plural branch `#` is the formatted number.
+
+const parsed = new Map();
+
+function parse(source) {
+  let i = 0;
+
+  const readUntil = (stops) => {
+    const start = i;
+    while (i < source.length && !stops.includes(source[i])) i++;
+    return source.slice(start, i).trim();
+  };
+
+  const skipSpace = () => {
+    while (/\s/.test(source[i] ?? "")) i++;
+  };
+
+  function parseMessage(inPlural) {
+    const parts = [];
+    let text = "";
+    const flush = () => {
+      if (text) parts.push(text);
+      text = "";
+    };
+
+    while (i < source.length && source[i] !== "}") {
+      if (source[i] === "{") {
+        flush();
+        i++;
+        parts.push(parseArgument(inPlural));
+      } else if (source[i] === "#" && inPlural) {
+        flush();
+        parts.push({ type: "pound" });
+        i++;
+      } else {
+        text += source[i++];
+      }
+    }
+    flush();
+    return parts;
+  }
+
+  function parseArgument(inPlural) {
+    const name = readUntil([",", "}"]);
+    if (source[i] === "}") {
+      i++;
+      return { type: "argument", name };
+    }
+    i++;
+    const kind = readUntil([",", "}"]);
+
+    if (kind === "plural" || kind === "select") {
+      i++;
+      const options = {};
+      skipSpace();
+      while (i < source.length && source[i] !== "}") {
+        const key = readUntil(["{"]);
+        i++;
+        options[key] = parseMessage(kind === "plural" || inPlural);
+        i++;
+        skipSpace();
+      }
+      i++;
+      return { type: kind, name, options };
+    }
+
+    let style = "";
+    if (source[i] === ",") {
+      i++;
+      style = readUntil(["}"]);
+    }
+    i++;
+    return { type: kind, name, style };
+  }
+
+  return parseMessage(false);
+}
+
+function render(parts, values, locale, number) {
+  return parts
+    .map((part) => {
+      if (typeof part === "string") return part;
+      const value = values[part.name];
+
+      switch (part.type) {
+        case "pound":
+          return new Intl.NumberFormat(locale).format(number);
+        case "number":
+          return new Intl.NumberFormat(
+            locale,
+            part.style === "percent" ? { style: "percent" } : {}
+          ).format(value);
+        case "date":
+          return new Intl.DateTimeFormat(locale, {
+            dateStyle: part.style || "medium",
+          }).format(new Date(value));
+        case "plural": {
+          const exact = part.options[`=${value}`];
+          const category = new Intl.PluralRules(locale).select(value);
+          const branch = exact ?? part.options[category] ?? part.options.other;
+          return render(branch ?? [], values, locale, value);
+        }
+        case "select": {
+          const branch = part.options[value] ?? part.options.other;
+          return render(branch ?? [], values, locale, number);
+        }
+        default:
+          return value === undefined ? `{${part.name}}` : String(value);
+      }
+    })
+    .join("");
+}
+
+function formatMessage(message, values = {}, locale = "en") {
+  if (!parsed.has(message)) parsed.set(message, parse(message));
+  return render(parsed.get(message), values, locale);
+}
+
+export { formatMessage };
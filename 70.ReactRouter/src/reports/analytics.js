@@ -0,0 +1,66 @@
+// Aggregations over graded attempts (see exam/examEngine gradeAttempt).
+
+const percent = (part, whole) =>
+  whole ? Math.round((part / whole) * 1000) / 10 : 0;
+
+const minutes = (ms) => Math.round(ms / 6000) / 10;
+
+const groupBy = (items, keyOf) =>
+  items.reduce((groups, item) => {
+    const key = keyOf(item);
+    (groups[key] = groups[key] || []).push(item);
+    return groups;
+  }, {});
+
+const topicStats = (attempts) => {
+  const answers = attempts.flatMap((a) => a.questions);
+  return Object.entries(groupBy(answers, (q) => q.topic))
+    .map(([topic, rows]) => {
+      const correct = rows.filter((q) => q.correct).length;
+      return {
+        topic,
+        questions: rows.length,
+        correct,
+        accuracy: percent(correct, rows.length),
+      };
+    })
+    .sort((a, b) => a.topic.localeCompare(b.topic));
+};
+
+const studentStats = (attempts) =>
+  Object.values(groupBy(attempts, (a) => a.studentId))
+    .map((rows) => {
+      const correct = rows.reduce((sum, a) => sum + a.score, 0);
+      const answered = rows.reduce((sum, a) => sum + a.total, 0);
+      const spent = rows.reduce((sum, a) => sum + a.timeSpentMs, 0);
+      const topics = topicStats(rows);
+      const weakest = [...topics].sort((a, b) => a.accuracy - b.accuracy)[0];
+      return {
+        studentId: rows[0].studentId,
+        name: rows[0].studentName,
+        attempts: rows.length,
+        averageScore: percent(
+          rows.reduce((sum, a) => sum + a.score / a.total, 0),
+          rows.length
+        ),
+        accuracy: percent(correct, answered),
+        minutesSpent: minutes(spent),
+        weakestTopic: weakest?.topic ?? "",
+        trend: rows.map((a) => percent(a.score, a.total)),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+const attemptHistory = (attempts) =>
+  attempts.map((a) => ({
+    id: a.id,
+    studentId: a.studentId,
+    student: a.studentName,
+    test: a.testTitle,
+    date: new Date(a.submittedAt).toISOString().slice(0, 10),
+    score: `${a.score}/${a.total}`,
+    percent: percent(a.score, a.total),
+    minutes: minutes(a.timeSpentMs),
+  }));
+
+export { percent, topicStats, studentStats, attemptHistory };
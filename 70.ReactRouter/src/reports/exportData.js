@@ -0,0 +1,44 @@
+// Turn table rows into downloadable CSV / JSON files.
+
+const csvCell = (value) => {
+  const text = Array.isArray(value) ? value.join(" ") : String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSV = (rows, columns) => {
+  const header = columns.map((c) => csvCell(c.label)).join(",");
+  const lines = rows.map((row) =>
+    columns.map((c) => csvCell(row[c.key])).join(",")
+  );
+  return [header, ...lines].join("\n");
+};
+
+const toJSON = (rows, columns) =>
+  JSON.stringify(
+    rows.map((row) =>
+      Object.fromEntries(columns.map((c) => [c.key, row[c.key]]))
+    ),
+    null,
+    2
+  );
+
+const download = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const exportRows = (format, name, rows, columns) => {
+  if (format === "csv") {
+    download(`${name}.csv`, toCSV(rows, columns), "text/csv");
+  } else {
+    download(`${name}.json`, toJSON(rows, columns), "application/json");
+  }
+};
+
+export { toCSV, toJSON, exportRows };
@@ -0,0 +1,48 @@
+import { splitLanguage } from "../i18n/config";
+
+// Route-level code splitting: every page lives in its own chunk and is
+// pulled in through `lazy` on the route, or early via `prefetchPage`.
+
+const pages = {
+  about: () => import("../components/About"),
+  dashboard: () => import("../components/DashBoard"),
+  courses: () => import("../components/Courses"),
+  mocktest: () => import("../components/MockTest"),
+  mocktestRunner: () => import("../components/MockTestRunner"),
+  reports: () => import("../components/Reports"),
+  student: () => import("../components/ParamComponent"),
+};
+
+const lazyPage = (name) => async () => {
+  const module = await pages[name]();
+  return { Component: module.default };
+};
+
+// NavBar paths (without a language prefix) mapped to the chunks they need first.
+const prefetchTargets = {
+  "/about": ["about"],
+  "/dashboard": ["dashboard"],
+  "/dashboard/courses": ["dashboard", "courses"],
+  "/dashboard/mocktest": ["dashboard", "mocktest"],
+  "/dashboard/reports": ["dashboard", "reports"],
+};
+
+const prefetched = new Set();
+
+const prefetchPage = (path) => {
+  const names = prefetchTargets[splitLanguage(path).path] ?? [];
+  names.forEach((name) => {
+    if (prefetched.has(name)) return;
+    prefetched.add(name);
+    // import() caches the module, so the later route `lazy` call is instant
+    pages[name]().catch(() => prefetched.delete(name));
+  });
+};
+
+// Spread onto a Link/NavLink to warm its chunk on hover or keyboard focus.
+const prefetchOn = (to) => ({
+  onMouseEnter: () => prefetchPage(to),
+  onFocus: () => prefetchPage(to),
+});
+
+export { lazyPage, prefetchPage, prefetchOn };
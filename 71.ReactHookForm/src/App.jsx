@@ -1,72 +1,37 @@
-import React from "react";
-import { useForm } from "react-hook-form";
+import React, { useState } from "react";
+import SchemaForm from "./components/SchemaForm";
+import WizardForm from "./components/WizardForm";
+import RegistrationForm from "./components/RegistrationForm";
+import nameForm from "./schemas/nameForm.json";
+import personWizard from "./schemas/personWizard.json";
+import { saveProfile } from "./api/mockApi";
 
 const App = () => {
-  const {
-    register,
-    handleSubmit,
-    watch,
-    formState: { errors, isSubmitting },
-  } = useForm();
-
-  async function onSubmit(data) {
-    await new Promise((resolve) => setTimeout(resolve, 5000));
-    console.log("submiting the form", data);
-  }
+  const [mode, setMode] = useState("single");
 
   return (
     <div>
-      <form onSubmit={handleSubmit(onSubmit)}>
-        <div>
-          <label>First Name</label>
-          <input
-            type="text"
-            {...register("firstName", {
-              required: true,
-              maxLength: 20,
-              minLength: { value: 3, message: "Min Length Less than 3" },
-            })}
-            className={errors.firstName ? "input-error" : ""}
-          />
-          {errors.firstName && (
-            <p className="err-msg">{errors.firstName.message}</p>
-          )}
-        </div>
-        <br />
-        <div>
-          <label>Middle Name</label>
-          <input
-            type="text"
-            {...register("middleName", {
-              minLength: { value: 3, message: "Min Length atleast 3" },
-              maxLength: { value: 6, message: "Max length of words 5" },
-              required: true,
-            })}
-          />
-          {errors.middleName && <p>{errors.middleName.message}</p>}
-        </div>
-        <br />
-        <div>
-          <label>Last Name</label>
-          <input
-            type="text"
-            {...register("lastName", {
-              pattern: {
-                value: /^[A-Za-z]+$/i,
-                message: "Last Name is not per the rules",
-              },
-            })}
-          />
-          {errors.lastName && <p>{errors.lastName.message}</p>}
-        </div>
-
-        <br />
-        <input
-          type="submit"
-          disabled={isSubmitting}
-          value={isSubmitting ? "Submitting" : " Submit"}
-        />
-      </form>
+      <div className="mode-switch">
+        <button onClick={() => setMode("single")} disabled={mode === "single"}>
+          Single Page
+        </button>
+        <button onClick={() => setMode("wizard")} disabled={mode === "wizard"}>
+          Wizard
+        </button>
+        <button
+          onClick={() => setMode("register")}
+          disabled={mode === "register"}
+        >
+          Register
+        </button>
+      </div>
+      {mode === "single" && (
+        <SchemaForm schema={nameForm} onSubmit={saveProfile} />
+      )}
+      {mode === "wizard" && (
+        <WizardForm schema={personWizard} onSubmit={saveProfile} />
+      )}
+      {mode === "register" && <RegistrationForm />}
     </div>
   );
 };
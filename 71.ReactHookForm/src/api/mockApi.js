@@ -0,0 +1,65 @@
+// Simulated backend for the registration form.
+
+const LATENCY = 600;
+
+const takenUsernames = ["deepak", "ajay", "rahul", "admin"];
+const blockedDomains = ["example.com", "mailinator.com"];
+
+const wait = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Request aborted", "AbortError"));
+    });
+  });
+
+const checkUsername = async (username) => {
+  await wait(LATENCY);
+  return !takenUsernames.includes(username.trim().toLowerCase());
+};
+
+// Resolves with `{ ok: true }` or `{ ok: false, errors }` where `errors`
+// maps field paths (e.g. "phones.1.number") to messages.
+const registerUser = async (data, { signal } = {}) => {
+  await wait(LATENCY * 2, signal);
+  const errors = {};
+
+  if (takenUsernames.includes(data.username.trim().toLowerCase())) {
+    errors.username = "Username was taken while you were filling the form";
+  }
+  const domain = data.email.split("@")[1]?.toLowerCase();
+  if (blockedDomains.includes(domain)) {
+    errors.email = `Sign ups from ${domain} are not allowed`;
+  }
+  const seen = new Set();
+  data.phones.forEach((phone, i) => {
+    if (seen.has(phone.number)) {
+      errors[`phones.${i}.number`] = "This number is already listed above";
+    }
+    seen.add(phone.number);
+  });
+
+  if (Object.keys(errors).length) return { ok: false, errors };
+  takenUsernames.push(data.username.trim().toLowerCase());
+  return { ok: true };
+};
+
+// Saving with the first name "fail" is refused once and accepted on the
+// retry, so the forms' error and retry path can be reproduced on demand.
+const refusedSaves = new Set();
+
+const saveProfile = async (data, { signal } = {}) => {
+  await wait(LATENCY * 4, signal);
+  const key = JSON.stringify(data);
+  if (
+    data.firstName?.trim().toLowerCase() === "fail" &&
+    !refusedSaves.has(key)
+  ) {
+    refusedSaves.add(key);
+    throw new Error("Server is busy, the profile was not saved");
+  }
+  return { ok: true, data };
+};
+
+export { checkUsername, registerUser, saveProfile };
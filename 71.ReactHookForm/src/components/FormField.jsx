@@ -0,0 +1,72 @@
+import React from "react";
+import { toRules } from "./schemaRules";
+
+const optionList = (options = []) =>
+  options.map((o) => (typeof o === "object" ? o : { value: o, label: o }));
+
+function FieldControl({ field, register, className }) {
+  const registered = register(field.name, toRules(field));
+
+  switch (field.type) {
+    case "textarea":
+      return (
+        <textarea
+          placeholder={field.placeholder}
+          {...registered}
+          className={className}
+        />
+      );
+    case "select":
+      return (
+        <select {...registered} className={className}>
+          <option value="">{field.placeholder ?? "Select..."}</option>
+          {optionList(field.options).map((o) => (
+            <option key={o.value} value={o.value}>
+              {o.label}
+            </option>
+          ))}
+        </select>
+      );
+    case "radio":
+    case "checkbox":
+      // a checkbox without options is a single on/off value
+      if (field.type === "checkbox" && !field.options) {
+        return <input type="checkbox" {...registered} className={className} />;
+      }
+      return (
+        <div className={className}>
+          {optionList(field.options).map((o) => (
+            <label key={o.value}>
+              <input type={field.type} value={o.value} {...registered} />
+              {o.label}
+            </label>
+          ))}
+        </div>
+      );
+    default:
+      return (
+        <input
+          type={field.type ?? "text"}
+          placeholder={field.placeholder}
+          {...registered}
+          className={className}
+        />
+      );
+  }
+}
+
+function FormField({ field, register, error }) {
+  return (
+    <div>
+      <label>{field.label}</label>
+      <FieldControl
+        field={field}
+        register={register}
+        className={error ? "input-error" : ""}
+      />
+      {error && <p className="err-msg">{error.message}</p>}
+    </div>
+  );
+}
+
+export default FormField;
@@ -0,0 +1,74 @@
+import React from "react";
+import { useFieldArray } from "react-hook-form";
+
+const emptyPhone = { type: "mobile", number: "" };
+
+function PhoneList({ control, register, errors }) {
+  const { fields, append, remove, move } = useFieldArray({
+    control,
+    name: "phones",
+    rules: { minLength: { value: 1, message: "Add at least one phone" } },
+  });
+
+  return (
+    <fieldset className="field-array">
+      <legend>Phone Numbers</legend>
+      {fields.map((field, index) => {
+        const error = errors.phones?.[index]?.number;
+        return (
+          <div key={field.id} className="field-array-row">
+            <select {...register(`phones.${index}.type`)}>
+              <option value="mobile">Mobile</option>
+              <option value="home">Home</option>
+              <option value="work">Work</option>
+            </select>
+            <input
+              type="text"
+              placeholder="10 digit number"
+              {...register(`phones.${index}.number`, {
+                required: "Phone number is required",
+                pattern: {
+                  value: /^[0-9]{10}$/,
+                  message: "Phone must be 10 digits",
+                },
+              })}
+              className={error ? "input-error" : ""}
+            />
+            <button
+              type="button"
+              onClick={() => move(index, index - 1)}
+              disabled={index === 0}
+              aria-label="Move up"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => move(index, index + 1)}
+              disabled={index === fields.length - 1}
+              aria-label="Move down"
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              onClick={() => remove(index)}
+              disabled={fields.length === 1}
+            >
+              Remove
+            </button>
+            {error && <p className="err-msg">{error.message}</p>}
+          </div>
+        );
+      })}
+      {errors.phones?.root && (
+        <p className="err-msg">{errors.phones.root.message}</p>
+      )}
+      <button type="button" onClick={() => append(emptyPhone)}>
+        Add Phone
+      </button>
+    </fieldset>
+  );
+}
+
+export default PhoneList;
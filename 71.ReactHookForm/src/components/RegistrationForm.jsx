@@ -0,0 +1,114 @@
+import React, { useMemo, useRef, useState } from "react";
+import { useForm } from "react-hook-form";
+import FormField from "./FormField";
+import PhoneList from "./PhoneList";
+import debounceAsync from "./debounceAsync";
+import { checkUsername, registerUser } from "../api/mockApi";
+
+const defaultValues = {
+  username: "",
+  email: "",
+  password: "",
+  phones: [{ type: "mobile", number: "" }],
+};
+
+const emailField = {
+  name: "email",
+  label: "Email",
+  type: "email",
+  rules: { required: "Email is required" },
+};
+
+const passwordField = {
+  name: "password",
+  label: "Password",
+  type: "password",
+  rules: {
+    required: "Password is required",
+    minLength: { value: 8, message: "Password needs at least 8 characters" },
+  },
+};
+
+function RegistrationForm() {
+  const [checking, setChecking] = useState(false);
+  const latestCheck = useRef(0);
+  const [registered, setRegistered] = useState(null);
+  const {
+    register,
+    control,
+    handleSubmit,
+    setError,
+    reset,
+    formState: { errors, isSubmitting },
+  } = useForm({ mode: "onChange", defaultValues });
+
+  const isAvailable = useMemo(
+    () =>
+      debounceAsync(async (username) => {
+        const check = ++latestCheck.current;
+        setChecking(true);
+        try {
+          return (await checkUsername(username)) || "Username already taken";
+        } finally {
+          // an older check finishing must not hide a newer one still running
+          if (check === latestCheck.current) setChecking(false);
+        }
+      }, 500),
+    []
+  );
+
+  const usernameField = {
+    name: "username",
+    label: "Username",
+    type: "text",
+    rules: {
+      required: "Username is required",
+      minLength: { value: 3, message: "Min Length atleast 3" },
+      validate: { available: isAvailable },
+    },
+  };
+
+  async function onSubmit(data) {
+    setRegistered(null);
+    const result = await registerUser(data);
+    if (!result.ok) {
+      // map each server error back onto the field it belongs to
+      Object.entries(result.errors).forEach(([name, message], i) => {
+        setError(name, { type: "server", message }, { shouldFocus: i === 0 });
+      });
+      return;
+    }
+    setRegistered(data.username);
+    reset(defaultValues);
+  }
+
+  return (
+    <form onSubmit={handleSubmit(onSubmit)} noValidate>
+      <FormField
+        field={usernameField}
+        register={register}
+        error={errors.username}
+      />
+      {checking && <p className="checking">Checking availability ...</p>}
+      <br />
+      <FormField field={emailField} register={register} error={errors.email} />
+      <br />
+      <FormField
+        field={passwordField}
+        register={register}
+        error={errors.password}
+      />
+      <br />
+      <PhoneList control={control} register={register} errors={errors} />
+      <br />
+      {registered && <p className="success">Registered {registered} 🎉</p>}
+      <input
+        type="submit"
+        disabled={isSubmitting || checking}
+        value={isSubmitting ? "Submitting" : " Register"}
+      />
+    </form>
+  );
+}
+
+export default RegistrationForm;
@@ -0,0 +1,53 @@
+import React from "react";
+import { useForm } from "react-hook-form";
+import FormField from "./FormField";
+import StatusBanner from "./StatusBanner";
+import useSubmission from "../hooks/useSubmission";
+
+function SchemaForm({ schema, onSubmit, defaultValues }) {
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: defaultValues ?? schema.defaultValues });
+  const submission = useSubmission(onSubmit, {
+    onSuccess: () => reset(),
+    successNotice: schema.successMessage,
+  });
+  const isSubmitting = submission.status === "submitting";
+
+  return (
+    <form onSubmit={handleSubmit(submission.submit)} noValidate>
+      <StatusBanner
+        status={submission.status}
+        error={submission.error}
+        notice={submission.notice}
+        onRetry={submission.retry}
+        onDismiss={submission.dismiss}
+      />
+      {schema.fields.map((field) => (
+        <React.Fragment key={field.name}>
+          <FormField
+            field={field}
+            register={register}
+            error={errors[field.name]}
+          />
+          <br />
+        </React.Fragment>
+      ))}
+      <input
+        type="submit"
+        disabled={isSubmitting}
+        value={isSubmitting ? "Submitting" : schema.submitLabel ?? " Submit"}
+      />
+      {isSubmitting && (
+        <button type="button" onClick={submission.cancel}>
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+}
+
+export default SchemaForm;
@@ -0,0 +1,39 @@
+import React, { useEffect } from "react";
+
+function StatusBanner({ status, error, notice, onRetry, onDismiss }) {
+  // success and cancel notices fade on their own, errors wait for the user
+  useEffect(() => {
+    if (!notice) return;
+    const timeoutId = setTimeout(onDismiss, 4000);
+    return () => clearTimeout(timeoutId);
+  }, [notice, onDismiss]);
+
+  if (status === "error") {
+    return (
+      <div className="banner banner-error" role="alert">
+        <span>{error?.message ?? "Something went wrong"}</span>
+        <button type="button" onClick={onRetry}>
+          Retry
+        </button>
+        <button type="button" onClick={onDismiss} aria-label="Dismiss">
+          ✕
+        </button>
+      </div>
+    );
+  }
+
+  if (!notice) return null;
+  return (
+    <div
+      className={status === "success" ? "banner banner-success" : "banner"}
+      role="status"
+    >
+      <span>{notice}</span>
+      <button type="button" onClick={onDismiss} aria-label="Dismiss">
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default StatusBanner;
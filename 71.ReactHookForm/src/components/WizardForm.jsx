@@ -0,0 +1,186 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useForm } from "react-hook-form";
+import FormField from "./FormField";
+import StatusBanner from "./StatusBanner";
+import useSubmission from "../hooks/useSubmission";
+
+const loadDraft = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+};
+
+const saveDraft = (key, draft) => {
+  localStorage.setItem(key, JSON.stringify(draft));
+};
+
+const display = (value) => {
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  return value === "" || value == null ? "—" : String(value);
+};
+
+const blankValue = (field) => {
+  if (field.type === "checkbox") return field.options ? [] : false;
+  return "";
+};
+
+// what a fresh wizard starts from; useForm's own defaults may be a restored
+// draft, which reset() would otherwise fall back to
+const emptyValues = (schema) => ({
+  ...Object.fromEntries(
+    schema.steps.flatMap((s) => s.fields).map((f) => [f.name, blankValue(f)])
+  ),
+  ...schema.defaultValues,
+});
+
+function WizardForm({ schema, onSubmit }) {
+  const { steps, draftKey } = schema;
+  const [draft] = useState(() => loadDraft(draftKey));
+  const [step, setStep] = useState(() =>
+    Math.min(draft?.step ?? 0, steps.length)
+  );
+  const {
+    register,
+    handleSubmit,
+    trigger,
+    watch,
+    getValues,
+    reset,
+    formState: { errors },
+  } = useForm({ defaultValues: draft?.values ?? schema.defaultValues });
+  // the draft is only dropped once the save succeeds, so a failed or
+  // cancelled submission leaves the user on the review step
+  const submission = useSubmission(onSubmit, {
+    onSuccess: () => {
+      localStorage.removeItem(draftKey);
+      reset(emptyValues(schema));
+      stepRef.current = 0;
+      setStep(0);
+    },
+    successNotice: schema.successMessage,
+  });
+  const isSubmitting = submission.status === "submitting";
+
+  const isReview = step === steps.length;
+  const stepRef = useRef(step);
+
+  // auto-save every edit together with the step the user is on. Only field
+  // changes carry a `name`; reset() does not, so a successful submit leaves
+  // the draft removed.
+  useEffect(() => {
+    const subscription = watch((values, { name }) => {
+      if (name) saveDraft(draftKey, { step: stepRef.current, values });
+    });
+    return () => subscription.unsubscribe();
+  }, [draftKey, watch]);
+
+  // moving between steps is saved too, so a reload resumes on the same one
+  const goTo = (nextStep) => {
+    stepRef.current = nextStep;
+    setStep(nextStep);
+    saveDraft(draftKey, { step: nextStep, values: getValues() });
+  };
+
+  const next = async () => {
+    const valid = await trigger(steps[step].fields.map((f) => f.name));
+    if (valid) goTo(step + 1);
+  };
+
+  const back = () => goTo(step - 1);
+
+  const handleForm = (e) => {
+    if (isReview) return handleSubmit(submission.submit)(e);
+    // Enter on an intermediate step only advances, it never submits
+    e.preventDefault();
+    next();
+  };
+
+  return (
+    <form onSubmit={handleForm} noValidate>
+      <StatusBanner
+        status={submission.status}
+        error={submission.error}
+        notice={submission.notice}
+        onRetry={submission.retry}
+        onDismiss={submission.dismiss}
+      />
+      <ol className="stepper">
+        {[...steps.map((s) => s.title), "Review"].map((title, i) => (
+          <li
+            key={title}
+            className={i === step ? "current" : i < step ? "done" : ""}
+          >
+            {i + 1}. {title}
+          </li>
+        ))}
+      </ol>
+
+      {isReview ? (
+        <div className="review">
+          {steps.map((s, i) => (
+            <section key={s.title}>
+              <h3>
+                {s.title}{" "}
+                <button
+                  type="button"
+                  onClick={() => goTo(i)}
+                  disabled={isSubmitting}
+                >
+                  Edit
+                </button>
+              </h3>
+              <dl>
+                {s.fields.map((field) => (
+                  <React.Fragment key={field.name}>
+                    <dt>{field.label}</dt>
+                    <dd>{display(getValues(field.name))}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+            </section>
+          ))}
+        </div>
+      ) : (
+        steps[step].fields.map((field) => (
+          <React.Fragment key={field.name}>
+            <FormField
+              field={field}
+              register={register}
+              error={errors[field.name]}
+            />
+            <br />
+          </React.Fragment>
+        ))
+      )}
+
+      <div className="wizard-actions">
+        {step > 0 && (
+          <button type="button" onClick={back} disabled={isSubmitting}>
+            Back
+          </button>
+        )}
+        {isReview ? (
+          <input
+            type="submit"
+            disabled={isSubmitting}
+            value={isSubmitting ? "Submitting" : schema.submitLabel ?? "Submit"}
+          />
+        ) : (
+          <button type="button" onClick={next}>
+            Next
+          </button>
+        )}
+        {isSubmitting && (
+          <button type="button" onClick={submission.cancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default WizardForm;
@@ -0,0 +1,25 @@
+// Debounces an async function. Every call made during the wait resolves with
+// the result of the single call that finally runs, so a validator never
+// reports a stale value.
+const debounceAsync = (fn, ms) => {
+  let timer;
+  let waiting = [];
+
+  return (...args) =>
+    new Promise((resolve, reject) => {
+      clearTimeout(timer);
+      waiting.push({ resolve, reject });
+      timer = setTimeout(async () => {
+        const callers = waiting;
+        waiting = [];
+        try {
+          const result = await fn(...args);
+          callers.forEach((c) => c.resolve(result));
+        } catch (error) {
+          callers.forEach((c) => c.reject(error));
+        }
+      }, ms);
+    });
+};
+
+export default debounceAsync;
@@ -0,0 +1,83 @@
+// Converts the JSON-friendly rule format of a schema field into the rules
+// object `register` expects. Patterns arrive as strings and become RegExps,
+// and every rule gets a message so an error never renders blank.
+
+const EMAIL_PATTERN = {
+  value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  message: "Enter a valid email address",
+};
+
+const defaultMessages = {
+  required: (label) => `${label} is required`,
+  minLength: (label, n) => `${label} must be at least ${n} characters`,
+  maxLength: (label, n) => `${label} must be at most ${n} characters`,
+  min: (label, n) => `${label} must be ${n} or more`,
+  max: (label, n) => `${label} must be ${n} or less`,
+  pattern: (label) => `${label} is not in the expected format`,
+  validate: (label) => `${label} is invalid`,
+};
+
+const toPattern = (pattern) => {
+  if (typeof pattern === "string" || pattern instanceof RegExp) {
+    return { value: new RegExp(pattern) };
+  }
+  const { value, flags, message } = pattern;
+  return {
+    value: value instanceof RegExp ? value : new RegExp(value, flags),
+    message,
+  };
+};
+
+const withMessage = (rule, fallback) => {
+  if (rule && typeof rule === "object" && !(rule instanceof RegExp)) {
+    return { ...rule, message: rule.message || fallback(rule.value) };
+  }
+  // `required: "Custom text"` is already its own message
+  if (typeof rule === "string") return { value: true, message: rule };
+  return { value: rule, message: fallback(rule) };
+};
+
+// A validator returning `false` would leave the message empty.
+const withValidateMessage = (validate, message) => {
+  const wrap =
+    (fn) =>
+    async (...args) => {
+      const result = await fn(...args);
+      return result === false ? message : result;
+    };
+  if (typeof validate === "function") return wrap(validate);
+  return Object.fromEntries(
+    Object.entries(validate).map(([name, fn]) => [name, wrap(fn)])
+  );
+};
+
+const toRules = (field) => {
+  const { pattern, validate, ...rules } = field.rules ?? {};
+  const label = field.label ?? field.name;
+
+  Object.keys(rules).forEach((name) => {
+    const message = defaultMessages[name];
+    if (message && rules[name] !== false) {
+      rules[name] = withMessage(rules[name], (n) => message(label, n));
+    }
+  });
+
+  if (pattern) {
+    rules.pattern = withMessage(toPattern(pattern), () =>
+      defaultMessages.pattern(label)
+    );
+  } else if (field.type === "email") {
+    rules.pattern = EMAIL_PATTERN;
+  }
+  if (validate) {
+    rules.validate = withValidateMessage(
+      validate,
+      defaultMessages.validate(label)
+    );
+  }
+  if (field.type === "number") rules.valueAsNumber = true;
+
+  return rules;
+};
+
+export { toRules };
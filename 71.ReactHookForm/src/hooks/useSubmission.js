@@ -0,0 +1,74 @@
+import { useCallback, useEffect, useReducer, useRef } from "react";
+
+// idle -> submitting -> success | error, with cancel (back to idle) and retry
+// (error -> submitting with the last submitted data).
+
+const initialState = { status: "idle", error: null, notice: null };
+
+function reducer(state, action) {
+  switch (action.type) {
+    case "submit":
+      return { status: "submitting", error: null, notice: null };
+    case "success":
+      if (state.status !== "submitting") return state;
+      return { status: "success", error: null, notice: action.notice };
+    case "failure":
+      if (state.status !== "submitting") return state;
+      return { status: "error", error: action.error, notice: null };
+    case "cancel":
+      if (state.status !== "submitting") return state;
+      return { status: "idle", error: null, notice: "Submission cancelled" };
+    case "dismiss":
+      return initialState;
+    default:
+      return state;
+  }
+}
+
+function useSubmission(action, { onSuccess, successNotice = "Saved!" } = {}) {
+  const [state, dispatch] = useReducer(reducer, initialState);
+  const controllerRef = useRef(null);
+  const lastData = useRef(null);
+
+  const submit = useCallback(
+    async (data) => {
+      controllerRef.current?.abort();
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      lastData.current = data;
+      dispatch({ type: "submit" });
+
+      try {
+        await action(data, { signal: controller.signal });
+        if (controller.signal.aborted) return;
+        dispatch({ type: "success", notice: successNotice });
+        onSuccess?.(data);
+      } catch (error) {
+        // a cancelled request already moved the machine back to idle
+        if (controller.signal.aborted) return;
+        dispatch({ type: "failure", error });
+      } finally {
+        if (controllerRef.current === controller) controllerRef.current = null;
+      }
+    },
+    [action, onSuccess, successNotice]
+  );
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    dispatch({ type: "cancel" });
+  }, []);
+
+  const retry = useCallback(() => {
+    if (lastData.current) return submit(lastData.current);
+  }, [submit]);
+
+  const dismiss = useCallback(() => dispatch({ type: "dismiss" }), []);
+
+  // never leave a request running after the form goes away
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  return { ...state, submit, cancel, retry, dismiss };
+}
+
+export default useSubmission;